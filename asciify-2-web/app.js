@@ -1,10 +1,72 @@
+import {
+  describeCalibration,
+  formatFontFamily,
+  loadCustomCalibration,
+} from "./custom-calibration.js?v=20261019-row-scores";
+
 const SIZE_ONE_LINE_WIDTH = 8568;
 const SIZE_ONE_ACTUAL_POINTS = 2.25;
-const GLYPH_HEIGHT = 58;
 const FOREGROUND_WEIGHT = 4;
 const PALETTE_LEVELS = 6;
-const ASSET_VERSION = "20260614-color-toggle-2";
-const WORKER_PROTOCOL_VERSION = 2;
+// The share of rows, at least one, that "Re-run worst rows" searches again, and how
+// much wider its beam is than the last search's.
+const WORST_ROW_FRACTION = 0.1;
+const RERUN_BEAM_FACTOR = 4;
+const MAX_BEAM_WIDTH = 1000;
+// Opacity of the heatmap tint on the lowest-scoring row.
+const HEATMAP_MAX_ALPHA = 0.45;
+// Arial metrics in em units (font units / 2048), used to size and place exported text.
+const ARIAL_SPACE_ADVANCE = 569 / 2048;
+const ARIAL_ASCENT = 1854 / 2048;
+const ARIAL_DESCENT = 434 / 2048;
+// Browsers refuse canvases beyond about this many pixels per side.
+const MAX_PNG_SIDE = 16384;
+// xterm's default 16 colors; ANSI codes 30-37 and 90-97 in this order.
+const ANSI_16_COLORS = [
+  [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+  [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+  [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+  [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255],
+];
+const XTERM_CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+const ANSI_MODES = {
+  truecolor: {
+    fileSuffix: "truecolor",
+    background: "48;2;255;255;255",
+    foreground: (color) => `38;2;${color.join(";")}`,
+  },
+  256: {
+    fileSuffix: "256",
+    background: "48;5;231",
+    foreground: (color) => `38;5;${getNearestXtermColor(color)}`,
+  },
+  16: {
+    fileSuffix: "16",
+    background: "107",
+    foreground: (color) => {
+      const index = getNearestColorIndex(color, ANSI_16_COLORS);
+      return String(index < 8 ? 30 + index : 90 + index - 8);
+    },
+  },
+};
+const ASSET_VERSION = "20261019-row-scores";
+const WORKER_PROTOCOL_VERSION = 3;
+// characters: null for every calibrated glyph. The search always keeps the space,
+// which it needs for blank areas.
+const CHARACTER_SETS = {
+  all: { label: "All calibrated characters", characters: null },
+  ramp: { label: "Density ramp", characters: ".:-=+*#%@" },
+  letters: {
+    label: "Letters only",
+    characters: "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  },
+  alphanumeric: {
+    label: "Letters and digits",
+    characters: "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789",
+  },
+  box: { label: "Box drawing", characters: "─│┌┐└┘├┤┬┴┼╭╮╯╰═║╔╗╚╝╠╣╦╩╬╱╲╳" },
+  custom: { label: "Custom", characters: "" },
+};
 const BEAM_WIDTHS = {
   1: 5,
   5: 10,
@@ -20,6 +82,8 @@ const dropZone = document.querySelector("#drop-zone");
 const fileLabel = document.querySelector("#file-label");
 const fontSizeSelect = document.querySelector("#font-size");
 const colorModeInput = document.querySelector("#color-mode");
+const characterSetSelect = document.querySelector("#character-set");
+const customCharactersInput = document.querySelector("#custom-characters");
 const fontHint = document.querySelector("#font-hint");
 const convertButton = document.querySelector("#convert-button");
 const cancelButton = document.querySelector("#cancel-button");
@@ -32,8 +96,14 @@ const progress = document.querySelector("#progress");
 const errorMessage = document.querySelector("#error-message");
 const resultSection = document.querySelector("#result-section");
 const resultSummary = document.querySelector("#result-summary");
+const scoreRows = document.querySelector("#score-rows");
+const scoreHint = document.querySelector("#score-hint");
 const asciiOutput = document.querySelector("#ascii-output");
 const copyButton = document.querySelector("#copy-button");
+const downloadButtons = document.querySelectorAll("[data-download]");
+const heatmapInput = document.querySelector("#heatmap-toggle");
+const rerunButton = document.querySelector("#rerun-button");
+const pngDpiSelect = document.querySelector("#png-dpi");
 
 let selectedFile = null;
 let previewUrl = null;
@@ -41,7 +111,14 @@ let activeRun = null;
 let outputText = "";
 let outputHtml = "";
 let outputIsColor = false;
+let outputLines = [];
+let outputExport = null;
+// What the last conversion searched with, kept to re-run its worst rows.
+let outputSearch = null;
 const calibrationCache = new Map();
+// Average scores of earlier runs, keyed by image, calibration and mode, so that runs
+// with different character sets can be compared.
+const scoreHistory = new Map();
 
 const fontHints = {
   1: "Size 1 creates very dense output and can take a minute or more.",
@@ -52,10 +129,19 @@ const fontHints = {
   20: "Size 20 produces the smallest, fastest result.",
 };
 
+addCustomCalibrationOption();
+
 fontSizeSelect.addEventListener("change", () => {
   fontHint.textContent = fontHints[fontSizeSelect.value];
 });
 
+characterSetSelect.addEventListener("change", () => {
+  customCharactersInput.hidden = characterSetSelect.value !== "custom";
+  if (!customCharactersInput.hidden) {
+    customCharactersInput.focus();
+  }
+});
+
 imageInput.addEventListener("change", () => {
   setSelectedFile(imageInput.files[0] || null);
 });
@@ -92,20 +178,25 @@ form.addEventListener("submit", async (event) => {
   outputText = "";
   outputHtml = "";
   outputIsColor = false;
+  outputLines = [];
+  outputExport = null;
+  outputSearch = null;
   setBusy(true);
 
   const run = {
     cancelled: false,
     colorMode: colorModeInput.checked,
+    characterSet: getSelectedCharacterSet(),
     workers: [],
     startedAt: performance.now(),
   };
   activeRun = run;
 
   try {
-    const fontSize = Number(fontSizeSelect.value);
     setStatus("Loading calibration...", 0, 1);
-    const calibration = await loadCalibration(fontSize);
+    const calibration = await loadCalibration(fontSizeSelect.value);
+    const { fontSize } = calibration;
+    const { characters, missing } = resolveAllowedCharacters(calibration, run.characterSet);
     assertActive(run);
 
     setStatus("Preparing image...", 0, 1);
@@ -114,36 +205,42 @@ form.addEventListener("submit", async (event) => {
 
     const numLines = Math.max(
       1,
-      Math.round((source.height * calibration.lineWidth) / (source.width * GLYPH_HEIGHT)),
+      Math.round((source.height * calibration.lineWidth) / (source.width * calibration.glyphHeight)),
     );
 
     const lines = await convertImage({
       calibration,
       source,
       numLines,
-      beamWidth: BEAM_WIDTHS[fontSize],
+      beamWidth: getBeamWidth(fontSize),
       colorMode: run.colorMode,
+      characters,
       run,
     });
     assertActive(run);
 
-    outputText = `${lines.map((line) => line.text).join("\n")}\n`;
-    outputIsColor = run.colorMode;
-    if (outputIsColor) {
-      renderColoredOutput(lines);
-      outputHtml = buildRichHtml(lines, fontSize);
-    } else {
-      asciiOutput.textContent = outputText;
-    }
-    asciiOutput.style.fontSize = fontSize === 1 ? "2.25pt" : `${fontSize}pt`;
-    copyButton.textContent = getCopyButtonLabel();
-
+    outputExport = {
+      calibration,
+      fontSize,
+      baseName: `${selectedFile.name.replace(/\.[^.]+$/, "") || "image"}-ascii`,
+    };
     const elapsed = (performance.now() - run.startedAt) / 1000;
-    const characters = lines.reduce((sum, line) => sum + line.text.length, 0);
-    const mode = outputIsColor ? "color" : "monochrome";
-    resultSummary.textContent =
-      `${numLines} lines, ${characters.toLocaleString()} characters, ${mode}, ` +
-      `${formatDuration(elapsed)}.`;
+    outputSearch = {
+      calibration,
+      source,
+      numLines,
+      beamWidth: getBeamWidth(fontSize),
+      colorMode: run.colorMode,
+      characters,
+      missing,
+      characterSetLabel: run.characterSet.label,
+      historyKey:
+        `${selectedFile.name}|${selectedFile.size}|${selectedFile.lastModified}|` +
+        `${describeCalibration(calibration)}|${run.colorMode ? "color" : "monochrome"}`,
+      duration: formatDuration(elapsed),
+      rerunNote: "",
+    };
+    showResult(lines);
     resultSection.hidden = false;
     resultSection.scrollIntoView({ behavior: "smooth", block: "start" });
     setStatus("Complete.", numLines, numLines);
@@ -176,6 +273,73 @@ cancelButton.addEventListener("click", () => {
   setStatus("Conversion cancelled.", 0, 1);
 });
 
+heatmapInput.addEventListener("change", () => {
+  asciiOutput.classList.toggle("show-heatmap", heatmapInput.checked);
+});
+
+rerunButton.addEventListener("click", async () => {
+  if (!outputSearch || activeRun) {
+    return;
+  }
+
+  const search = outputSearch;
+  const beamWidth = getRerunBeamWidth(search);
+  const lineIndexes = getWorstRows(outputLines);
+  setError("");
+  setBusy(true);
+
+  const run = {
+    cancelled: false,
+    colorMode: search.colorMode,
+    workers: [],
+    startedAt: performance.now(),
+  };
+  activeRun = run;
+
+  try {
+    const results = await convertImage({
+      calibration: search.calibration,
+      source: search.source,
+      numLines: search.numLines,
+      beamWidth,
+      colorMode: search.colorMode,
+      characters: search.characters,
+      lineIndexes,
+      run,
+    });
+    assertActive(run);
+
+    // A wider beam usually finds a closer line but is not guaranteed to, so each row
+    // keeps whichever result scores higher.
+    const lines = outputLines.slice();
+    let improved = 0;
+    for (const lineIndex of lineIndexes) {
+      if (results[lineIndex].score > lines[lineIndex].score) {
+        lines[lineIndex] = results[lineIndex];
+        improved++;
+      }
+    }
+    const elapsed = (performance.now() - run.startedAt) / 1000;
+    search.beamWidth = beamWidth;
+    search.rerunNote =
+      `Re-ran the worst ${formatRowCount(lineIndexes.length)} at beam width ${beamWidth} in ` +
+      `${formatDuration(elapsed)}; ${improved} improved.`;
+    showResult(lines);
+    setStatus("Complete.", lineIndexes.length, lineIndexes.length);
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      console.error(error);
+      setError(error.message || "The re-run failed.");
+    }
+  } finally {
+    terminateWorkers(run);
+    if (activeRun === run) {
+      activeRun = null;
+      setBusy(false);
+    }
+  }
+});
+
 copyButton.addEventListener("click", async () => {
   if (!outputText) {
     return;
@@ -217,6 +381,38 @@ copyButton.addEventListener("click", async () => {
   }
 });
 
+for (const button of downloadButtons) {
+  button.addEventListener("click", async () => {
+    if (!outputExport) {
+      return;
+    }
+    const format = button.dataset.download;
+    const { calibration, fontSize, baseName } = outputExport;
+    setError("");
+    try {
+      let blob;
+      if (format === "txt") {
+        blob = new Blob([outputText], { type: "text/plain;charset=utf-8" });
+      } else if (format === "html") {
+        blob = new Blob([buildHtmlDocument(outputLines, calibration)], { type: "text/html;charset=utf-8" });
+      } else if (format === "svg") {
+        blob = new Blob([buildSvg(outputLines, calibration, fontSize)], { type: "image/svg+xml" });
+      } else if (format.startsWith("ansi-")) {
+        const mode = ANSI_MODES[format.slice("ansi-".length)];
+        blob = new Blob([buildAnsi(outputLines, mode)], { type: "text/plain;charset=utf-8" });
+        downloadBlob(blob, `${baseName}-${mode.fileSuffix}.ans`);
+        return;
+      } else {
+        blob = await renderPng(outputLines, calibration, fontSize, Number(pngDpiSelect.value));
+      }
+      downloadBlob(blob, `${baseName}.${format}`);
+    } catch (error) {
+      console.error(error);
+      setError(error.message || "The export failed.");
+    }
+  });
+}
+
 function setSelectedFile(file) {
   if (!file || !file.type.startsWith("image/")) {
     selectedFile = null;
@@ -242,6 +438,9 @@ function setBusy(busy) {
   convertButton.disabled = busy || !selectedFile;
   fontSizeSelect.disabled = busy;
   colorModeInput.disabled = busy;
+  characterSetSelect.disabled = busy;
+  customCharactersInput.disabled = busy;
+  rerunButton.disabled = busy || !outputSearch || getRerunBeamWidth(outputSearch) > MAX_BEAM_WIDTH;
   imageInput.disabled = busy;
   cancelButton.hidden = !busy;
   progressShell.hidden = !busy && !statusText.textContent;
@@ -266,7 +465,16 @@ function assertActive(run) {
   }
 }
 
-async function loadCalibration(fontSize) {
+// key: a bundled font size, or "custom" for the calibration saved by calibrate.html.
+async function loadCalibration(key) {
+  if (key === "custom") {
+    const custom = loadCustomCalibration();
+    if (!custom) {
+      throw new Error("No custom calibration is saved. Create one on the calibration page.");
+    }
+    return custom;
+  }
+  const fontSize = Number(key);
   if (calibrationCache.has(fontSize)) {
     return calibrationCache.get(fontSize);
   }
@@ -280,6 +488,169 @@ async function loadCalibration(fontSize) {
   return calibration;
 }
 
+// Adds the custom calibration saved by calibrate.html to the size choices.
+function addCustomCalibrationOption() {
+  let custom = null;
+  try {
+    custom = loadCustomCalibration();
+  } catch {
+    return;
+  }
+  if (!custom) {
+    return;
+  }
+  const option = document.createElement("option");
+  option.value = "custom";
+  option.textContent = `Custom: ${describeCalibration(custom)}`;
+  fontSizeSelect.append(option);
+  fontHints.custom =
+    `Uses your ${describeCalibration(custom)} calibration. Time depends on its size and character set.`;
+}
+
+// Sizes without a preset, from custom calibrations, use the nearest preset.
+function getBeamWidth(fontSize) {
+  const nearest = Object.keys(BEAM_WIDTHS)
+    .map(Number)
+    .reduce((best, size) => (Math.abs(size - fontSize) < Math.abs(best - fontSize) ? size : best));
+  return BEAM_WIDTHS[nearest];
+}
+
+// Shows lines searched with outputSearch, after a conversion or a re-run.
+function showResult(lines) {
+  const { calibration, numLines, colorMode, missing } = outputSearch;
+  outputText = `${lines.map((line) => line.text).join("\n")}\n`;
+  outputIsColor = colorMode;
+  outputLines = lines;
+  renderOutput(lines);
+  outputHtml = outputIsColor ? buildRichHtml(lines, calibration) : "";
+  asciiOutput.style.fontSize = calibration.fontSize === 1 ? "2.25pt" : `${calibration.fontSize}pt`;
+  asciiOutput.style.fontFamily = calibration.fontFamily ? formatFontFamily(calibration.fontFamily) : "";
+  asciiOutput.classList.toggle("show-heatmap", heatmapInput.checked);
+  copyButton.textContent = getCopyButtonLabel();
+  for (const button of downloadButtons) {
+    if (button.dataset.download.startsWith("ansi-")) {
+      button.hidden = !outputIsColor;
+    }
+  }
+
+  const characterCount = lines.reduce((sum, line) => sum + line.text.length, 0);
+  const mode = outputIsColor ? "color" : "monochrome";
+  const averageScore = lines.reduce((sum, line) => sum + line.score, 0) / lines.length;
+  const worstIndex = lines.reduce(
+    (worst, line, index) => (line.score < lines[worst].score ? index : worst),
+    0,
+  );
+  resultSummary.textContent =
+    `${numLines} lines, ${characterCount.toLocaleString()} characters, ${mode}, ` +
+    `${outputSearch.duration}. Row scores average ${averageScore.toFixed(3)}, lowest ` +
+    `${lines[worstIndex].score.toFixed(3)} (row ${worstIndex + 1}).`;
+  if (outputSearch.rerunNote) {
+    resultSummary.textContent += ` ${outputSearch.rerunNote}`;
+  }
+  if (missing.length > 0) {
+    resultSummary.textContent +=
+      ` Not in the ${describeCalibration(calibration)} calibration, so skipped: ${missing.join(" ")}`;
+  }
+  renderScoreComparison(outputSearch.historyKey, {
+    label: outputSearch.characterSetLabel,
+    characters: outputSearch.characters ? outputSearch.characters.join("") : null,
+    characterCount: outputSearch.characters
+      ? outputSearch.characters.length
+      : calibration.glyphs.length,
+    score: averageScore,
+  });
+
+  rerunButton.textContent =
+    `Re-run worst ${formatRowCount(getWorstRows(lines).length)} with a wider beam ` +
+    `(${getRerunBeamWidth(outputSearch)})`;
+}
+
+// Indexes of the lowest-scoring WORST_ROW_FRACTION of the lines.
+function getWorstRows(lines) {
+  const count = Math.max(1, Math.round(lines.length * WORST_ROW_FRACTION));
+  return lines
+    .map((line, index) => index)
+    .sort((left, right) => lines[left].score - lines[right].score)
+    .slice(0, count);
+}
+
+function formatRowCount(count) {
+  return count === 1 ? "row" : `${count} rows`;
+}
+
+function getRerunBeamWidth(search) {
+  return search.beamWidth * RERUN_BEAM_FACTOR;
+}
+
+function getSelectedCharacterSet() {
+  const key = characterSetSelect.value;
+  if (key === "custom") {
+    return {
+      label: `Custom: ${customCharactersInput.value.trim()}`,
+      characters: customCharactersInput.value,
+    };
+  }
+  return CHARACTER_SETS[key] || CHARACTER_SETS.all;
+}
+
+// The characters to send to the worker (null for all of them, otherwise the
+// calibrated ones of the set plus the space) and those the calibration lacks.
+function resolveAllowedCharacters(calibration, characterSet) {
+  if (characterSet.characters === null) {
+    return { characters: null, missing: [] };
+  }
+  const requested = [...new Set(characterSet.characters)].filter((char) => !/\s/.test(char));
+  if (requested.length === 0) {
+    throw new Error("Type at least one character for the custom character set.");
+  }
+  const calibrated = new Set(calibration.glyphs.map((glyph) => glyph.char));
+  const characters = requested.filter((char) => calibrated.has(char));
+  if (characters.length === 0) {
+    throw new Error(
+      `The ${describeCalibration(calibration)} calibration has none of these characters. ` +
+        "Calibrate a font with them on the calibration page and choose it as the size.",
+    );
+  }
+  return {
+    characters: [" ", ...characters],
+    missing: requested.filter((char) => !calibrated.has(char)),
+  };
+}
+
+// Lists the average scores of the runs on this image, calibration and mode, each
+// with its change from the run with all characters when there is one.
+function renderScoreComparison(historyKey, entry) {
+  const runs = (scoreHistory.get(historyKey) || []).filter(
+    (previous) => previous.characters !== entry.characters,
+  );
+  runs.push(entry);
+  scoreHistory.set(historyKey, runs);
+  const baseline = runs.find((previous) => previous.characters === null);
+
+  scoreRows.replaceChildren(
+    ...runs.map((run) => {
+      const row = document.createElement("tr");
+      row.classList.toggle("current-run", run === entry);
+      const change = baseline && run !== baseline ? run.score - baseline.score : null;
+      const cells = [
+        run.label,
+        String(run.characterCount),
+        run.score.toFixed(3),
+        change === null ? "-" : `${change >= 0 ? "+" : "−"}${Math.abs(change).toFixed(3)}`,
+      ];
+      row.append(
+        ...cells.map((text) => Object.assign(document.createElement("td"), { textContent: text })),
+      );
+      return row;
+    }),
+  );
+  scoreHint.textContent =
+    "The score is how closely the rendered text matches the image, averaged over the rows; 1 is a perfect match. " +
+    (baseline
+      ? "Change is measured against all calibrated characters."
+      : "Asciify again with all calibrated characters to see how much the restriction costs.");
+}
+
 async function loadSourceImage(file) {
   const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
   const scale = Math.min(1, 2400 / Math.max(bitmap.width, bitmap.height));
@@ -294,9 +665,21 @@ async function loadSourceImage(file) {
   return { canvas, width: canvas.width, height: canvas.height };
 }
 
-async function convertImage({ calibration, source, numLines, beamWidth, colorMode, run }) {
+// lineIndexes, when given, limits the search to those rows; the others are left empty
+// in the result.
+async function convertImage({
+  calibration,
+  source,
+  numLines,
+  beamWidth,
+  colorMode,
+  characters,
+  lineIndexes,
+  run,
+}) {
+  const queue = lineIndexes || Array.from({ length: numLines }, (_, index) => index);
   const workerCount = Math.min(
-    numLines,
+    queue.length,
     8,
     Math.max(1, (navigator.hardwareConcurrency || 4) - 1),
   );
@@ -314,7 +697,7 @@ async function convertImage({ calibration, source, numLines, beamWidth, colorMod
   stripContext.imageSmoothingEnabled = true;
   stripContext.imageSmoothingQuality = "high";
 
-  setStatus(`Searching with ${workerCount} parallel workers...`, 0, numLines);
+  setStatus(`Searching with ${workerCount} parallel workers...`, 0, queue.length);
 
   return new Promise((resolve, reject) => {
     run.reject = reject;
@@ -323,14 +706,14 @@ async function convertImage({ calibration, source, numLines, beamWidth, colorMod
       if (run.cancelled) {
         return;
       }
-      if (nextLine >= numLines) {
-        if (completed === numLines) {
+      if (nextLine >= queue.length) {
+        if (completed === queue.length) {
           resolve(results);
         }
         return;
       }
 
-      const lineIndex = nextLine++;
+      const lineIndex = queue[nextLine++];
       const target = renderStrip(
         source,
         stripContext,
@@ -373,9 +756,10 @@ async function convertImage({ calibration, source, numLines, beamWidth, colorMod
           results[message.lineIndex] = {
             text: message.text,
             colors: message.colors,
+            score: message.score,
           };
           completed++;
-          setStatus("Searching rows...", completed, numLines);
+          setStatus("Searching rows...", completed, queue.length);
           dispatch(worker);
         }
       });
@@ -391,6 +775,7 @@ async function convertImage({ calibration, source, numLines, beamWidth, colorMod
         foregroundWeight: FOREGROUND_WEIGHT,
         colorMode,
         paletteLevels: PALETTE_LEVELS,
+        characters,
         protocolVersion: WORKER_PROTOCOL_VERSION,
       });
     }
@@ -440,29 +825,48 @@ function renderStrip(source, context, width, height, lineIndex, numLines, colorM
   return gray;
 }
 
-function renderColoredOutput(lines) {
+// One span per row so that the heatmap can tint it: the further a row's score is
+// below the best row's, the stronger the tint.
+function renderOutput(lines) {
+  const scores = lines.map((line) => line.score);
+  const best = Math.max(...scores);
+  const spread = best - Math.min(...scores);
   asciiOutput.replaceChildren();
   lines.forEach((line, lineIndex) => {
-    for (let index = 0; index < line.text.length; index++) {
-      if (!line.colors?.[index]) {
-        throw createWorkerMismatchError();
+    const row = document.createElement("span");
+    row.className = "output-row";
+    row.title = `Row ${lineIndex + 1}: score ${line.score.toFixed(3)}`;
+    const strength = spread > 0 ? (best - line.score) / spread : 0;
+    row.style.setProperty("--row-tint", (strength * HEATMAP_MAX_ALPHA).toFixed(3));
+    if (line.colors) {
+      for (let index = 0; index < line.text.length; index++) {
+        if (!line.colors[index]) {
+          throw createWorkerMismatchError();
+        }
+        const span = document.createElement("span");
+        span.textContent = line.text[index];
+        span.style.color = `rgb(${line.colors[index].join(",")})`;
+        row.append(span);
       }
-      const span = document.createElement("span");
-      span.textContent = line.text[index];
-      span.style.color = `rgb(${line.colors[index].join(",")})`;
-      asciiOutput.append(span);
+    } else {
+      row.textContent = line.text;
     }
+    asciiOutput.append(row);
     if (lineIndex < lines.length - 1) {
       asciiOutput.append("\n");
     }
   });
 }
 
-function buildRichHtml(lines, fontSize) {
-  const actualFontSize = fontSize === 1 ? SIZE_ONE_ACTUAL_POINTS : fontSize;
+// Monochrome lines (colors null) are written as plain text.
+function buildRichHtml(lines, calibration) {
+  const actualFontSize = getActualFontSize(calibration.fontSize);
   const content = lines
     .map((line) => {
-      if (!line.colors || line.colors.length !== line.text.length) {
+      if (!line.colors) {
+        return escapeHtml(line.text);
+      }
+      if (line.colors.length !== line.text.length) {
         throw createWorkerMismatchError();
       }
       return [...line.text]
@@ -474,11 +878,262 @@ function buildRichHtml(lines, fontSize) {
     })
     .join("\n");
   return (
-    `<pre style="margin:0;background:#fff;color:#000;font-family:Arial,sans-serif;` +
+    `<pre style="margin:0;background:#fff;color:#000;font-family:${formatFontFamily(calibration.fontFamily)};` +
     `font-size:${actualFontSize}pt;line-height:normal;white-space:pre">${content}</pre>`
   );
 }
 
+function buildHtmlDocument(lines, calibration) {
+  return (
+    `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n<title>Asciify 2</title>\n</head>\n` +
+    `<body style="margin:16px;background:#fff">\n${buildRichHtml(lines, calibration)}\n</body>\n</html>\n`
+  );
+}
+
+function getActualFontSize(fontSize) {
+  return fontSize === 1 ? SIZE_ONE_ACTUAL_POINTS : fontSize;
+}
+
+// Sizes in calibration pixels, the units of lineWidth and glyphHeight: the font size
+// that gives the calibrated advances, the baseline within a line, and the points one
+// pixel stands for at the Google Docs font size. Custom calibrations record the first
+// two; the bundled Arial ones are measured from the space.
+function getExportMetrics(calibration, fontSize) {
+  const emPixels = calibration.emPixels || calibration.advances[0] / ARIAL_SPACE_ADVANCE;
+  return {
+    emPixels,
+    baseline:
+      calibration.baseline ??
+      (calibration.glyphHeight + (ARIAL_ASCENT - ARIAL_DESCENT) * emPixels) / 2,
+    pointsPerPixel: getActualFontSize(fontSize) / emPixels,
+  };
+}
+
+// The x of each character, advancing as the search worker does, so exports keep the
+// layout the art was searched with.
+function getCharacterPositions(text, calibration) {
+  const glyphCount = calibration.glyphs.length;
+  const glyphIndexes = new Map(calibration.glyphs.map((glyph, index) => [glyph.char, index]));
+  const positions = [];
+  let x = 0;
+  let previous = -1;
+  for (const char of text) {
+    const index = glyphIndexes.has(char) ? glyphIndexes.get(char) : 0;
+    if (previous >= 0) {
+      const pairAdvance = calibration.pairAdvances[previous * glyphCount + index];
+      x += pairAdvance >= 0 ? pairAdvance : calibration.advances[previous];
+    }
+    positions.push(x);
+    previous = index;
+  }
+  return positions;
+}
+
+// Runs of characters sharing a color: [{ start, end, color }], color null in monochrome.
+function getColorRuns(line) {
+  const runs = [];
+  for (let index = 0; index < line.text.length; index++) {
+    const color = line.colors ? `rgb(${line.colors[index].join(",")})` : null;
+    const run = runs[runs.length - 1];
+    if (run && run.color === color) {
+      run.end = index + 1;
+    } else {
+      runs.push({ start: index, end: index + 1, color });
+    }
+  }
+  return runs;
+}
+
+function buildSvg(lines, calibration, fontSize) {
+  const { emPixels, baseline, pointsPerPixel } = getExportMetrics(calibration, fontSize);
+  const width = calibration.lineWidth;
+  const height = calibration.glyphHeight * lines.length;
+  const formatNumber = (value) => String(Math.round(value * 100) / 100);
+  const textElements = lines
+    .map((line, lineIndex) => {
+      if (!line.text) {
+        return "";
+      }
+      if (line.colors && line.colors.length !== line.text.length) {
+        throw createWorkerMismatchError();
+      }
+      const x = getCharacterPositions(line.text, calibration).map(formatNumber).join(" ");
+      const y = formatNumber(lineIndex * calibration.glyphHeight + baseline);
+      const content = getColorRuns(line)
+        .map((run) => {
+          const text = escapeHtml(line.text.slice(run.start, run.end));
+          return run.color ? `<tspan fill="${run.color}">${text}</tspan>` : text;
+        })
+        .join("");
+      return `<text x="${x}" y="${y}">${content}</text>\n`;
+    })
+    .join("");
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width * pointsPerPixel)}pt" ` +
+    `height="${formatNumber(height * pointsPerPixel)}pt" viewBox="0 0 ${width} ${height}">\n` +
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>\n` +
+    `<g font-family="${formatFontFamily(calibration.fontFamily)}" font-size="${formatNumber(emPixels)}" fill="#000000" xml:space="preserve">\n` +
+    `${textElements}</g>\n</svg>\n`
+  );
+}
+
+function getNearestColorIndex(color, palette) {
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  palette.forEach((candidate, index) => {
+    const distance =
+      (color[0] - candidate[0]) ** 2 +
+      (color[1] - candidate[1]) ** 2 +
+      (color[2] - candidate[2]) ** 2;
+    if (distance < bestDistance) {
+      bestIndex = index;
+      bestDistance = distance;
+    }
+  });
+  return bestIndex;
+}
+
+// The closest of xterm colors 16-255: the nearest 6x6x6 cube entry or the nearest of
+// the 24 grays. Colors 0-15 are left out because terminals theme them.
+function getNearestXtermColor(color) {
+  const cube = color.map((value) => {
+    let best = 0;
+    XTERM_CUBE_LEVELS.forEach((level, index) => {
+      if (Math.abs(value - level) < Math.abs(value - XTERM_CUBE_LEVELS[best])) {
+        best = index;
+      }
+    });
+    return best;
+  });
+  const average = (color[0] + color[1] + color[2]) / 3;
+  const grayIndex = Math.min(23, Math.max(0, Math.round((average - 8) / 10)));
+  const grayValue = 8 + grayIndex * 10;
+  const cubeColor = cube.map((index) => XTERM_CUBE_LEVELS[index]);
+  const nearest = getNearestColorIndex(color, [cubeColor, [grayValue, grayValue, grayValue]]);
+  return nearest === 0 ? 16 + cube[0] * 36 + cube[1] * 6 + cube[2] : 232 + grayIndex;
+}
+
+// ANSI escape text for a terminal: the art keeps the white background it was searched
+// against, padded to a rectangle, and a color code is written only where the color
+// changes. Spaces take whatever color is current, as they show no foreground.
+function buildAnsi(lines, mode) {
+  const width = Math.max(0, ...lines.map((line) => line.text.length));
+  return lines
+    .map((line) => {
+      if (line.colors && line.colors.length !== line.text.length) {
+        throw createWorkerMismatchError();
+      }
+      let output = `\x1b[${mode.background}m`;
+      let current = null;
+      for (let index = 0; index < line.text.length; index++) {
+        const char = line.text[index];
+        if (char !== " ") {
+          const code = mode.foreground(line.colors ? line.colors[index] : [0, 0, 0]);
+          if (code !== current) {
+            output += `\x1b[${code}m`;
+            current = code;
+          }
+        }
+        output += char;
+      }
+      return `${output}${" ".repeat(width - line.text.length)}\x1b[0m\n`;
+    })
+    .join("");
+}
+
+async function renderPng(lines, calibration, fontSize, dpi) {
+  const { emPixels, baseline, pointsPerPixel } = getExportMetrics(calibration, fontSize);
+  const scale = (pointsPerPixel * dpi) / 72;
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(calibration.lineWidth * scale));
+  canvas.height = Math.max(1, Math.round(calibration.glyphHeight * lines.length * scale));
+  if (canvas.width > MAX_PNG_SIDE || canvas.height > MAX_PNG_SIDE) {
+    throw new Error(
+      `At ${dpi} DPI the image would be ${canvas.width} x ${canvas.height} pixels, too large for the browser. Choose a lower DPI.`,
+    );
+  }
+  const context = canvas.getContext("2d", { alpha: false });
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.scale(scale, scale);
+  context.font = `${emPixels}px ${formatFontFamily(calibration.fontFamily)}`;
+  context.textBaseline = "alphabetic";
+  lines.forEach((line, lineIndex) => {
+    if (line.colors && line.colors.length !== line.text.length) {
+      throw createWorkerMismatchError();
+    }
+    const positions = getCharacterPositions(line.text, calibration);
+    const y = lineIndex * calibration.glyphHeight + baseline;
+    for (const run of getColorRuns(line)) {
+      context.fillStyle = run.color || "#000000";
+      for (let index = run.start; index < run.end; index++) {
+        if (line.text[index] !== " ") {
+          context.fillText(line.text[index], positions[index], y);
+        }
+      }
+    }
+  });
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((result) => {
+      if (result) {
+        resolve(result);
+      } else {
+        reject(new Error("The browser could not create the PNG."));
+      }
+    }, "image/png");
+  });
+  return setPngDensity(blob, dpi);
+}
+
+// Adds a pHYs chunk after the IHDR chunk so that image viewers and printers use the
+// chosen DPI.
+async function setPngDensity(blob, dpi) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const ihdrEnd = 8 + 4 + 4 + 13 + 4;
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(4 + 4 + 9 + 4);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1;
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  return new Blob([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)], { type: "image/png" });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let index = 0; index < 256; index++) {
+      let value = index;
+      for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+      }
+      crcTable[index] = value >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function escapeHtml(value) {
   return value
     .replaceAll("&", "&amp;")
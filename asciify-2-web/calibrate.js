@@ -0,0 +1,132 @@
+import {
+  DEFAULT_CHARACTERS,
+  buildCalibration,
+  describeCalibration,
+  formatFontFamily,
+  isFontAvailable,
+  saveCustomCalibration,
+} from "./custom-calibration.js?v=20261019-row-scores";
+
+const PREVIEW_COLUMNS = 24;
+
+const form = document.querySelector("#calibration-form");
+const fontFamilyInput = document.querySelector("#font-family");
+const fontSizeInput = document.querySelector("#calibration-font-size");
+const lineWidthInput = document.querySelector("#line-width");
+const lineHeightInput = document.querySelector("#line-height");
+const charactersInput = document.querySelector("#characters");
+const errorMessage = document.querySelector("#error-message");
+const resultSection = document.querySelector("#result-section");
+const resultSummary = document.querySelector("#result-summary");
+const useButton = document.querySelector("#use-button");
+const downloadButton = document.querySelector("#download-button");
+const useStatus = document.querySelector("#use-status");
+const glyphPreview = document.querySelector("#glyph-preview");
+
+let calibration = null;
+
+charactersInput.value = DEFAULT_CHARACTERS.trimStart();
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  setError("");
+  useStatus.textContent = "";
+  const fontFamily = fontFamilyInput.value.trim();
+
+  try {
+    // Web fonts in use on the page load on demand; wait so that they are measured.
+    await document.fonts?.load(`44px ${formatFontFamily(fontFamily)}`).catch(() => []);
+    calibration = buildCalibration({
+      fontFamily,
+      fontSize: Number(fontSizeInput.value),
+      lineWidthPoints: Number(lineWidthInput.value),
+      lineHeight: Number(lineHeightInput.value),
+      characters: charactersInput.value,
+    });
+  } catch (error) {
+    calibration = null;
+    resultSection.hidden = true;
+    setError(error.message || "The calibration failed.");
+    return;
+  }
+
+  const available = isFontAvailable(fontFamily);
+  resultSummary.textContent =
+    `${describeCalibration(calibration)}: ${calibration.glyphs.length} characters, ` +
+    `lines ${calibration.lineWidth} x ${calibration.glyphHeight} pixels.`;
+  if (!available) {
+    setError(
+      `This browser does not seem to have ${fontFamily}, so it measured a fallback font. ` +
+        "Check the spelling or install the font.",
+    );
+  }
+  renderGlyphPreview(calibration);
+  resultSection.hidden = false;
+  resultSection.scrollIntoView({ behavior: "smooth", block: "start" });
+});
+
+useButton.addEventListener("click", () => {
+  if (!calibration) {
+    return;
+  }
+  try {
+    saveCustomCalibration(calibration);
+    useStatus.replaceChildren(
+      `Saved. Choose "Custom: ${describeCalibration(calibration)}" as the size in the `,
+      Object.assign(document.createElement("a"), { href: "index.html", textContent: "converter" }),
+      ".",
+    );
+  } catch {
+    useStatus.textContent =
+      "This browser could not store the calibration. Download the JSON instead.";
+  }
+});
+
+downloadButton.addEventListener("click", () => {
+  if (!calibration) {
+    return;
+  }
+  const blob = new Blob([JSON.stringify(calibration)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${calibration.fontFamily.replace(/[^\w-]+/g, "-") || "font"}-${calibration.fontSize}.json`;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+// Draws the glyph bitmaps as the worker sees them, in rows of PREVIEW_COLUMNS.
+function renderGlyphPreview({ glyphs, glyphHeight }) {
+  const rows = [];
+  for (let index = 0; index < glyphs.length; index += PREVIEW_COLUMNS) {
+    rows.push(glyphs.slice(index, index + PREVIEW_COLUMNS));
+  }
+  const gap = 4;
+  glyphPreview.width = Math.max(
+    1,
+    ...rows.map((row) => row.reduce((sum, glyph) => sum + glyph.width + gap, gap)),
+  );
+  glyphPreview.height = rows.length * (glyphHeight + gap) + gap;
+  const context = glyphPreview.getContext("2d");
+  context.fillStyle = "#e5e5e5";
+  context.fillRect(0, 0, glyphPreview.width, glyphPreview.height);
+  rows.forEach((row, rowIndex) => {
+    let x = gap;
+    for (const glyph of row) {
+      const gray = Uint8Array.from(atob(glyph.pixels), (char) => char.charCodeAt(0));
+      const image = context.createImageData(glyph.width, glyphHeight);
+      gray.forEach((value, index) => {
+        image.data.set([value, value, value, 255], index * 4);
+      });
+      context.putImageData(image, x, gap + rowIndex * (glyphHeight + gap));
+      x += glyph.width + gap;
+    }
+  });
+}
+
+function setError(message) {
+  errorMessage.textContent = message;
+  errorMessage.hidden = !message;
+}
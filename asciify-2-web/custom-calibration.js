@@ -0,0 +1,160 @@
+// Calibrations for fonts other than the bundled Arial ones, measured in the browser.
+// The result has the shape of calibration/*.json (the worker's initialize() reads
+// lineWidth, glyphHeight, advances, pairAdvances and glyphs) plus fontFamily, emPixels
+// and baseline, which the converter uses to preview and export in the same font.
+
+export const CUSTOM_CALIBRATION_KEY = "asciify-2-custom-calibration";
+export const DEFAULT_CHARACTERS =
+  " abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()-_+={}[]|\\;:\"'?/.,~`<>";
+// The bundled calibrations render the font at about 44 pixels to the em.
+export const CALIBRATION_EM_PIXELS = 44;
+const FALLBACK_FAMILIES = ["monospace", "serif"];
+const AVAILABILITY_SAMPLE = "mmmmmmmmmmlliWW@#";
+
+// CSS font-family for a calibration: the named font with a generic fallback.
+export function formatFontFamily(family) {
+  const name = String(family || "").replace(/['"\\;{}]/g, "").trim();
+  return name ? `'${name}', sans-serif` : "Arial, sans-serif";
+}
+
+// Unique characters in order, the space first: the converter treats glyph 0 as the
+// blank and trims trailing spaces.
+export function normalizeCharacters(text) {
+  const characters = [" "];
+  for (const char of String(text || "")) {
+    if (!/[\p{Cc}\p{Zl}\p{Zp}]/u.test(char) && !characters.includes(char)) {
+      characters.push(char);
+    }
+  }
+  return characters;
+}
+
+// False when the browser draws the family with a fallback font, that is when it is
+// neither installed nor loaded as a web font.
+export function isFontAvailable(family) {
+  const context = document.createElement("canvas").getContext("2d");
+  return FALLBACK_FAMILIES.some((fallback) => {
+    context.font = `${CALIBRATION_EM_PIXELS}px ${fallback}`;
+    const fallbackWidth = context.measureText(AVAILABILITY_SAMPLE).width;
+    context.font = `${CALIBRATION_EM_PIXELS}px ${formatFontFamily(family).replace("sans-serif", fallback)}`;
+    return context.measureText(AVAILABILITY_SAMPLE).width !== fallbackWidth;
+  });
+}
+
+function encodeBase64(bytes) {
+  let binary = "";
+  for (let index = 0; index < bytes.length; index += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 8192));
+  }
+  return btoa(binary);
+}
+
+// options: { fontFamily, fontSize (points), lineWidthPoints (width of a line of text),
+// lineHeight (multiple of the font size), characters }.
+export function buildCalibration({ fontFamily, fontSize, lineWidthPoints, lineHeight, characters }) {
+  const chars = normalizeCharacters(characters);
+  if (chars.length < 2) {
+    throw new Error("Enter at least one character besides the space.");
+  }
+  if (!(fontSize > 0) || !(lineWidthPoints > 0) || !(lineHeight > 0)) {
+    throw new Error("Font size, line width and line height must be positive numbers.");
+  }
+
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  const font = `${CALIBRATION_EM_PIXELS}px ${formatFontFamily(fontFamily)}`;
+  const setFont = () => {
+    context.font = font;
+    context.fontKerning = "normal";
+    context.textBaseline = "alphabetic";
+  };
+  setFont();
+
+  const sample = context.measureText(chars.join(""));
+  const ascent = sample.fontBoundingBoxAscent ?? CALIBRATION_EM_PIXELS * 0.9;
+  const descent = sample.fontBoundingBoxDescent ?? CALIBRATION_EM_PIXELS * 0.2;
+  const glyphHeight = Math.max(1, Math.round(CALIBRATION_EM_PIXELS * lineHeight));
+  const baseline = (glyphHeight + ascent - descent) / 2;
+
+  const advances = chars.map((char) => context.measureText(char).width);
+  // The advance from one character to the next when they are set as a pair, which
+  // includes kerning; -1 (use the plain advance) for pairs with a space.
+  const pairAdvances = [];
+  chars.forEach((first) => {
+    chars.forEach((second, index) => {
+      pairAdvances.push(
+        first === " " || second === " "
+          ? -1
+          : context.measureText(first + second).width - advances[index],
+      );
+    });
+  });
+
+  const glyphs = chars.map((char, index) => {
+    const width = Math.max(1, Math.round(advances[index]));
+    canvas.width = width;
+    canvas.height = glyphHeight;
+    // Resizing the canvas resets its state.
+    setFont();
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, width, glyphHeight);
+    context.fillStyle = "#000000";
+    context.fillText(char, 0, baseline);
+    const rgba = context.getImageData(0, 0, width, glyphHeight).data;
+    const pixels = new Uint8Array(width * glyphHeight);
+    for (let sourceIndex = 0, targetIndex = 0; sourceIndex < rgba.length; sourceIndex += 4) {
+      pixels[targetIndex++] = Math.round(
+        0.299 * rgba[sourceIndex] +
+        0.587 * rgba[sourceIndex + 1] +
+        0.114 * rgba[sourceIndex + 2],
+      );
+    }
+    return { char, width, pixels: encodeBase64(pixels) };
+  });
+
+  return {
+    fontSize,
+    lineWidth: Math.round((lineWidthPoints / fontSize) * CALIBRATION_EM_PIXELS),
+    glyphHeight,
+    advances,
+    pairAdvances,
+    glyphs,
+    fontFamily: String(fontFamily || "").trim(),
+    emPixels: CALIBRATION_EM_PIXELS,
+    baseline,
+  };
+}
+
+export function validateCalibration(calibration) {
+  const glyphCount = calibration?.glyphs?.length || 0;
+  const valid =
+    glyphCount > 1 &&
+    calibration.lineWidth > 0 &&
+    calibration.glyphHeight > 0 &&
+    calibration.advances?.length === glyphCount &&
+    calibration.pairAdvances?.length === glyphCount * glyphCount &&
+    calibration.glyphs.every((glyph) => glyph.char && glyph.width > 0 && typeof glyph.pixels === "string");
+  if (!valid) {
+    throw new Error("The custom calibration is incomplete. Build it again on the calibration page.");
+  }
+  return calibration;
+}
+
+export function saveCustomCalibration(calibration) {
+  localStorage.setItem(CUSTOM_CALIBRATION_KEY, JSON.stringify(validateCalibration(calibration)));
+}
+
+// The saved custom calibration, or null when there is none.
+export function loadCustomCalibration() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(CUSTOM_CALIBRATION_KEY);
+  } catch {
+    return null;
+  }
+  return stored ? validateCalibration(JSON.parse(stored)) : null;
+}
+
+export function describeCalibration(calibration) {
+  return `${calibration.fontFamily || "Arial"} ${calibration.fontSize}pt`;
+}
@@ -9,7 +9,7 @@ let foregroundWeight = 0;
 let minGlyphWidth = 0;
 let colorMode = false;
 let paletteLevels = 6;
-const WORKER_PROTOCOL_VERSION = 2;
+const WORKER_PROTOCOL_VERSION = 3;
 
 self.addEventListener("message", (event) => {
   const message = event.data;
@@ -32,6 +32,7 @@ function initialize({
   foregroundWeight: weight,
   colorMode: requestedColorMode,
   paletteLevels: requestedPaletteLevels,
+  characters,
 }) {
   glyphHeight = calibration.glyphHeight;
   lineWidth = calibration.lineWidth;
@@ -39,14 +40,32 @@ function initialize({
   foregroundWeight = weight;
   colorMode = requestedColorMode;
   paletteLevels = requestedPaletteLevels;
-  advances = Float64Array.from(calibration.advances);
-  pairAdvances = Float64Array.from(calibration.pairAdvances);
-  glyphs = calibration.glyphs.map((glyph) => ({
-    char: glyph.char,
-    width: glyph.width,
-    pixels: decodeBase64(glyph.pixels),
-  }));
-  glyphCount = glyphs.length;
+  // characters, when given, restricts the search to those calibrated glyphs; the
+  // metrics are copied for the subset so the searches index it directly.
+  const allowed = characters ? new Set(characters) : null;
+  const calibratedCount = calibration.glyphs.length;
+  const indexes = [];
+  calibration.glyphs.forEach((glyph, index) => {
+    if (!allowed || allowed.has(glyph.char)) {
+      indexes.push(index);
+    }
+  });
+  glyphCount = indexes.length;
+  advances = Float64Array.from(indexes, (index) => calibration.advances[index]);
+  pairAdvances = new Float64Array(glyphCount * glyphCount);
+  indexes.forEach((first, row) => {
+    indexes.forEach((second, column) => {
+      pairAdvances[row * glyphCount + column] = calibration.pairAdvances[first * calibratedCount + second];
+    });
+  });
+  glyphs = indexes.map((index) => {
+    const glyph = calibration.glyphs[index];
+    return {
+      char: glyph.char,
+      width: glyph.width,
+      pixels: decodeBase64(glyph.pixels),
+    };
+  });
   minGlyphWidth = Math.min(...glyphs.map((glyph) => glyph.width));
 }
 
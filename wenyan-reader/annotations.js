@@ -0,0 +1,194 @@
+// Reader annotations stored in IndexedDB, shared by the reader pages, index.html and
+// the site search worker. Every record belongs to one passage block, identified by
+// docPath ("02_Tang/冥报记.html") plus the block's chunk anchor ("inter-orig-12"):
+//   bookmark   { kind, docPath, anchor, marker, chunkType }
+//   highlight  { ..., start, end, quote, note }   start/end index the block's text
+// Records also carry id, docTitle, createdAt and updatedAt. Exports wrap the records as
+// { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt, annotations }.
+(function (root) {
+  const EXPORT_FORMAT = 'wenyan-reader-annotations';
+  const EXPORT_VERSION = 1;
+  const DATABASE_NAME = 'wenyan-reader';
+  const DATABASE_VERSION = 1;
+  const ANNOTATION_STORE = 'annotations';
+  const ANNOTATION_KINDS = ['bookmark', 'highlight'];
+  let databasePromise = null;
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDatabase() {
+    if (!root.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available.'));
+    }
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = root.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+          const database = request.result;
+          if (!database.objectStoreNames.contains(ANNOTATION_STORE)) {
+            const store = database.createObjectStore(ANNOTATION_STORE, { keyPath: 'id' });
+            store.createIndex('docPath', 'docPath');
+            store.createIndex('passage', ['docPath', 'anchor']);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  }
+
+  function runTransaction(mode, callback) {
+    return openDatabase().then((database) => {
+      const transaction = database.transaction(ANNOTATION_STORE, mode);
+      const result = callback(transaction.objectStore(ANNOTATION_STORE));
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    });
+  }
+
+  // One bookmark per passage; one highlight per span of it.
+  function getAnnotationId(annotation) {
+    const base = annotation.docPath + '#' + annotation.anchor + '/' + annotation.kind;
+    return annotation.kind === 'highlight' ? base + '/' + annotation.start + '-' + annotation.end : base;
+  }
+
+  function normalizeAnnotation(annotation) {
+    if (!annotation || !annotation.docPath || !annotation.anchor || !ANNOTATION_KINDS.includes(annotation.kind)) {
+      throw new Error('Annotations need a docPath, an anchor and a kind of ' + ANNOTATION_KINDS.join(', ') + '.');
+    }
+    const now = new Date().toISOString();
+    const normalized = {
+      kind: annotation.kind,
+      docPath: annotation.docPath,
+      anchor: annotation.anchor,
+      marker: annotation.marker || '',
+      chunkType: annotation.chunkType || '',
+      docTitle: annotation.docTitle || '',
+      note: annotation.note || '',
+      createdAt: annotation.createdAt || now,
+      updatedAt: annotation.updatedAt || now,
+    };
+    if (annotation.kind === 'highlight') {
+      normalized.start = Number(annotation.start) || 0;
+      normalized.end = Number(annotation.end) || 0;
+      normalized.quote = annotation.quote || '';
+    }
+    normalized.id = getAnnotationId(normalized);
+    return normalized;
+  }
+
+  function listAnnotations() {
+    return runTransaction('readonly', (store) => requestToPromise(store.getAll()));
+  }
+
+  function listDocumentAnnotations(docPath) {
+    return runTransaction('readonly', (store) => requestToPromise(store.index('docPath').getAll(docPath)));
+  }
+
+  function saveAnnotation(annotation) {
+    const record = normalizeAnnotation(Object.assign({}, annotation, { updatedAt: new Date().toISOString() }));
+    return runTransaction('readwrite', (store) => {
+      store.put(record);
+      return record;
+    });
+  }
+
+  function deleteAnnotation(id) {
+    return runTransaction('readwrite', (store) => {
+      store.delete(id);
+    });
+  }
+
+  function buildAnnotationExport(records) {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      annotations: records.map(normalizeAnnotation),
+    };
+  }
+
+  function sameContent(a, b) {
+    return a.note === b.note && (a.quote || '') === (b.quote || '');
+  }
+
+  // Imported records are matched to stored ones by docPath, anchor and marker (plus the
+  // kind and span the id encodes). Identical records are skipped; records that differ
+  // in marker or content are conflicts and keep the stored version.
+  function mergeAnnotationImport(existingRecords, data) {
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.annotations)) {
+      throw new Error('This file is not a Wenyan Reader annotation export.');
+    }
+    if (!(data.version >= 1 && data.version <= EXPORT_VERSION)) {
+      throw new Error('This export was written by a newer version of the reader (format version ' + data.version + ').');
+    }
+    const existing = new Map(existingRecords.map((record) => [record.id, record]));
+    const report = { added: [], duplicates: 0, conflicts: [], invalid: 0 };
+    data.annotations.forEach((annotation) => {
+      let incoming;
+      try {
+        incoming = normalizeAnnotation(annotation);
+      } catch (error) {
+        report.invalid += 1;
+        return;
+      }
+      const current = existing.get(incoming.id);
+      if (!current) {
+        existing.set(incoming.id, incoming);
+        report.added.push(incoming);
+      } else if (current.marker === incoming.marker && sameContent(current, incoming)) {
+        report.duplicates += 1;
+      } else {
+        report.conflicts.push({
+          reason: current.marker === incoming.marker ? 'content' : 'marker',
+          existing: current,
+          incoming,
+        });
+      }
+    });
+    return report;
+  }
+
+  function importAnnotations(data) {
+    return listAnnotations().then((records) => {
+      const report = mergeAnnotationImport(records, data);
+      return runTransaction('readwrite', (store) => {
+        report.added.forEach((record) => store.put(record));
+        return report;
+      });
+    });
+  }
+
+  const api = {
+    ANNOTATION_KINDS,
+    getAnnotationId,
+    normalizeAnnotation,
+    listAnnotations,
+    listDocumentAnnotations,
+    saveAnnotation,
+    deleteAnnotation,
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    buildAnnotationExport,
+    mergeAnnotationImport,
+    importAnnotations,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanAnnotations = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,172 @@
+// Citations for reader passages in Chicago, MLA and BibTeX style, plus the plain
+// text of a passage with its marker label for quoting. A source is
+//   { chineseTitle, englishTitle, folder: '02_Tang', marker: '3', url, accessed: Date }
+// where the titles come from search-index/manifest.json and url links to the passage.
+// Titles keep the Chinese original with the English translation in brackets, as both
+// styles ask for a translated title.
+(function (root) {
+  const SITE_NAME = 'Wenyan Reader';
+  const CITATION_STYLES = ['chicago', 'mla', 'bibtex'];
+  const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+  ];
+  const MLA_MONTH_NAMES = [
+    'Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.',
+  ];
+
+  function createCitationError(message) {
+    const error = new Error(message);
+    error.name = 'CitationError';
+    return error;
+  }
+
+  // "02_Tang" -> "Tang", "01_Pre-Tang_Wei-Jin-Six_Dynasties" -> "Pre-Tang Wei-Jin-Six Dynasties".
+  function getDynastyLabel(folder) {
+    return String(folder || '').replace(/^\d+_/, '').replace(/_/g, ' ');
+  }
+
+  function getTitle(source) {
+    const chineseTitle = String(source.chineseTitle || '').trim();
+    const englishTitle = String(source.englishTitle || '').trim();
+    if (chineseTitle && englishTitle) {
+      return chineseTitle + ' [' + englishTitle + ']';
+    }
+    return chineseTitle || englishTitle;
+  }
+
+  function getAccessedDate(source) {
+    const date = source.accessed instanceof Date ? source.accessed : new Date();
+    return Number.isNaN(date.getTime()) ? new Date() : date;
+  }
+
+  function pad(number) {
+    return String(number).padStart(2, '0');
+  }
+
+  // "2026-10-19" in local time, the date the reader saw the page.
+  function formatIsoDate(date) {
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+  }
+
+  // Chicago: Title [Translation]. Dynasty. Passage 3. Site. Accessed October 19, 2026. URL.
+  function formatChicago(source) {
+    const accessed = getAccessedDate(source);
+    const parts = [getTitle(source)];
+    const dynasty = getDynastyLabel(source.folder);
+    if (dynasty) {
+      parts.push(dynasty);
+    }
+    if (source.marker) {
+      parts.push('Passage ' + source.marker);
+    }
+    parts.push(SITE_NAME);
+    parts.push('Accessed ' + MONTH_NAMES[accessed.getMonth()] + ' ' + accessed.getDate() + ', ' + accessed.getFullYear());
+    return parts.map((part) => part.replace(/\.$/, '') + '.').join(' ') + (source.url ? ' ' + source.url + '.' : '');
+  }
+
+  // MLA 9: Title [Translation]. Dynasty, passage 3. Site, URL. Accessed 19 Oct. 2026.
+  function formatMla(source) {
+    const accessed = getAccessedDate(source);
+    const location = [getDynastyLabel(source.folder), source.marker ? 'passage ' + source.marker : '']
+      .filter(Boolean)
+      .join(', ');
+    const parts = [getTitle(source)];
+    if (location) {
+      parts.push(location.charAt(0).toUpperCase() + location.slice(1));
+    }
+    parts.push(SITE_NAME + (source.url ? ', ' + source.url : ''));
+    parts.push('Accessed ' + accessed.getDate() + ' ' + MLA_MONTH_NAMES[accessed.getMonth()] + ' ' + accessed.getFullYear());
+    return parts.map((part) => part.replace(/\.$/, '') + '.').join(' ');
+  }
+
+  // LaTeX special characters in a braced field; the url field is left verbatim.
+  const BIBTEX_REPLACEMENTS = {
+    '\\': '\\textbackslash{}',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}',
+  };
+
+  function escapeBibtex(value) {
+    return String(value || '').replace(/[\\~^{}&%$#_]/g, (char) => BIBTEX_REPLACEMENTS[char] || '\\' + char);
+  }
+
+  // "wenyan-records-communication-unseen-3": ASCII only, as BibTeX keys must be.
+  function getBibtexKey(source) {
+    const slug = (value) => String(value || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word && !['a', 'an', 'the', 'of', 'and', 'on', 'in', 'with'].includes(word))
+      .join('-');
+    return ['wenyan', slug(source.englishTitle) || slug(source.folder), slug(source.marker)]
+      .filter(Boolean)
+      .join('-');
+  }
+
+  function formatBibtex(source) {
+    const accessed = getAccessedDate(source);
+    const note = [getDynastyLabel(source.folder), source.marker ? 'passage ' + source.marker : '']
+      .filter(Boolean)
+      .join(', ');
+    const fields = [
+      ['title', escapeBibtex(getTitle(source))],
+      ['howpublished', escapeBibtex(SITE_NAME)],
+      ['note', escapeBibtex(note.charAt(0).toUpperCase() + note.slice(1))],
+      ['url', source.url || ''],
+      ['urldate', formatIsoDate(accessed)],
+    ].filter(([, value]) => value);
+    return '@misc{' + getBibtexKey(source) + ',\n'
+      + fields.map(([name, value]) => '  ' + name + ' = {' + value + '}').join(',\n')
+      + '\n}';
+  }
+
+  // style: one of CITATION_STYLES.
+  function formatCitation(style, source) {
+    if (!source || !getTitle(source)) {
+      throw createCitationError('The text has no title to cite.');
+    }
+    if (style === 'chicago') {
+      return formatChicago(source);
+    }
+    if (style === 'mla') {
+      return formatMla(source);
+    }
+    if (style === 'bibtex') {
+      return formatBibtex(source);
+    }
+    throw createCitationError('Unknown citation style: ' + style + '.');
+  }
+
+  // The passage text labelled with its marker. part is 'original', 'translation' or
+  // 'both'; both puts the translation after the original, separated by a blank line.
+  function formatPassageText(part, passage) {
+    const clean = (text) => String(text || '')
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+    const original = clean(passage.original);
+    const translation = clean(passage.translation);
+    const texts = part === 'original' ? [original]
+      : part === 'translation' ? [translation]
+        : [original, translation];
+    const body = texts.filter(Boolean).join('\n\n');
+    if (!body) {
+      return '';
+    }
+    return passage.marker ? '[' + passage.marker + '] ' + body : body;
+  }
+
+  const api = {
+    CITATION_STYLES,
+    formatCitation,
+    formatPassageText,
+    getBibtexKey,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanCitations = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
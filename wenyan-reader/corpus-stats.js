@@ -0,0 +1,91 @@
+// Character counts for the wenyan-reader statistics page (stats.html). Counts cover
+// the CJK characters of the original text only, folded like every other search text
+// (see search-variants.js), so that 鬼 and a Traditional variant count as one
+// character. Each text's counts are kept separately and merged per dynasty or for
+// the whole corpus on demand.
+(function (root) {
+  const { foldVariants } = root.WenyanSearchVariants || require('./search-variants.js');
+  const { isCjkChar } = root.WenyanSearchTerms || require('./search-terms.js');
+
+  // { text, total, counts: Map(char -> count) } for a list of search-index entries.
+  // text keeps the folded original with non-CJK runs collapsed to a space, so term
+  // counts never run across punctuation.
+  function countDocument(entries) {
+    const counts = new Map();
+    const parts = [];
+    let total = 0;
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      if (!entry || entry.type !== 'original' || !entry.text) {
+        return;
+      }
+      let run = '';
+      for (const char of foldVariants(entry.text)) {
+        if (!isCjkChar(char)) {
+          if (run) {
+            parts.push(run);
+            run = '';
+          }
+          continue;
+        }
+        run += char;
+        total += 1;
+        counts.set(char, (counts.get(char) || 0) + 1);
+      }
+      if (run) {
+        parts.push(run);
+      }
+    });
+    return { text: parts.join(' '), total, counts };
+  }
+
+  function mergeCounts(countMaps) {
+    const merged = new Map();
+    countMaps.forEach((counts) => {
+      counts.forEach((count, char) => {
+        merged.set(char, (merged.get(char) || 0) + count);
+      });
+    });
+    return merged;
+  }
+
+  // [{ char, count }] most frequent first; ties keep code point order.
+  function rankCharacters(counts, limit) {
+    return Array.from(counts, ([char, count]) => ({ char, count }))
+      .sort((a, b) => b.count - a.count || a.char.codePointAt(0) - b.char.codePointAt(0))
+      .slice(0, limit || undefined);
+  }
+
+  // Non-overlapping occurrences of a term in a countDocument() text.
+  function countTerm(text, term) {
+    const needle = foldVariants(String(term || '').replace(/\s+/g, ''));
+    if (!needle || !text) {
+      return 0;
+    }
+    let count = 0;
+    let index = text.indexOf(needle);
+    while (index !== -1) {
+      count += 1;
+      index = text.indexOf(needle, index + needle.length);
+    }
+    return count;
+  }
+
+  // "02_Tang" -> "Tang", "01_Pre-Tang_Wei-Jin-Six_Dynasties" -> "Pre-Tang Wei-Jin-Six Dynasties".
+  function getDynastyLabel(folder) {
+    return String(folder || '').replace(/^\d+_/, '').replace(/_/g, ' ');
+  }
+
+  const api = {
+    countDocument,
+    mergeCounts,
+    rankCharacters,
+    countTerm,
+    getDynastyLabel,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanCorpusStats = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
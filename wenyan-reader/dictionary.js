@@ -0,0 +1,191 @@
+// Offline classical-Chinese dictionary for the reader pages' lookup popover, read from
+// dictionary-index (see tools/build-dictionary-index.js). A lookup at a character
+// returns every headword in its run of CJK text that covers it, longest first, so
+// the reader gets the longest matching word and can step down to shorter ones.
+(function (root) {
+  const { foldVariants } = root.WenyanSearchVariants || require('./search-variants.js');
+  const { isCjkChar } = root.WenyanSearchTerms || require('./search-terms.js');
+  const DEFAULT_MAX_WORD_LENGTH = 8;
+
+  // Index of the manifest entry whose shard holds the words starting with char: the
+  // last entry whose first character is not after it.
+  function findShardIndex(entries, char) {
+    const codePoint = char.codePointAt(0);
+    let low = 0;
+    let high = entries.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (entries[middle].first.codePointAt(0) <= codePoint) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found;
+  }
+
+  // Splits text into characters, keeping each one's UTF-16 offset so that matches
+  // can be mapped back onto DOM ranges.
+  function splitCharacters(text) {
+    const chars = [];
+    let offset = 0;
+    for (const char of String(text || '')) {
+      chars.push({ char, folded: foldVariants(char), offset });
+      offset += char.length;
+    }
+    return chars;
+  }
+
+  function findCharIndex(chars, offset) {
+    for (let i = chars.length - 1; i >= 0; i -= 1) {
+      if (chars[i].offset <= offset) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Every span of up to maxWordLength CJK characters that covers chars[index].
+  function getCandidateSpans(chars, index, maxWordLength) {
+    const spans = [];
+    if (!chars[index] || !isCjkChar(chars[index].char)) {
+      return spans;
+    }
+    let runStart = index;
+    while (runStart > 0 && index - runStart + 1 < maxWordLength && isCjkChar(chars[runStart - 1].char)) {
+      runStart -= 1;
+    }
+    let runEnd = index + 1;
+    while (runEnd < chars.length && runEnd - index < maxWordLength && isCjkChar(chars[runEnd].char)) {
+      runEnd += 1;
+    }
+    for (let start = runStart; start <= index; start += 1) {
+      for (let end = index + 1; end <= Math.min(runEnd, start + maxWordLength); end += 1) {
+        spans.push({
+          start,
+          end,
+          word: chars.slice(start, end).map((item) => item.folded).join(''),
+        });
+      }
+    }
+    return spans;
+  }
+
+  // Longest first; among words of one length, the one in more passages wins.
+  function compareMatches(a, b) {
+    return Array.from(b.word).length - Array.from(a.word).length
+      || b.entry.count - a.entry.count
+      || b.start - a.start;
+  }
+
+  function createDictionary(indexUrl) {
+    const baseIndex = indexUrl.lastIndexOf('/');
+    const basePath = baseIndex === -1 ? '' : indexUrl.slice(0, baseIndex + 1);
+    const shardCache = new Map();
+    let manifestPromise = null;
+
+    function loadManifest() {
+      if (!manifestPromise) {
+        manifestPromise = fetch(indexUrl)
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error('Unable to load dictionary manifest.');
+            }
+            return response.json();
+          })
+          .then((manifest) => ({
+            source: (manifest && manifest.source) || null,
+            documents: manifest && Array.isArray(manifest.documents) ? manifest.documents : [],
+            entries: manifest && Array.isArray(manifest.entries) ? manifest.entries : [],
+            maxWordLength: (manifest && manifest.maxWordLength) || DEFAULT_MAX_WORD_LENGTH,
+          }));
+        manifestPromise.catch(() => {
+          manifestPromise = null;
+        });
+      }
+      return manifestPromise;
+    }
+
+    function loadShard(shard) {
+      if (!shardCache.has(shard)) {
+        const shardPromise = fetch(basePath + shard)
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error('Unable to load dictionary shard.');
+            }
+            return response.json();
+          })
+          .then((entries) => {
+            const shardMap = new Map();
+            (Array.isArray(entries) ? entries : []).forEach((entry) => {
+              if (entry && entry.word) {
+                shardMap.set(entry.word, entry);
+              }
+            });
+            return shardMap;
+          });
+        shardPromise.catch(() => shardCache.delete(shard));
+        shardCache.set(shard, shardPromise);
+      }
+      return shardCache.get(shard);
+    }
+
+    // Resolves to { matches: [{ start, end, word, text, entry }], documents, source }
+    // where start and end are UTF-16 offsets into text and matches[0] is the longest
+    // word. source names the dictionary the glosses come from, for attribution.
+    function lookupAt(text, offset) {
+      return loadManifest().then((manifest) => {
+        const chars = splitCharacters(text);
+        const index = findCharIndex(chars, offset);
+        const spans = getCandidateSpans(chars, index, manifest.maxWordLength);
+        const shards = new Map();
+        spans.forEach((span) => {
+          const shardIndex = findShardIndex(manifest.entries, span.word);
+          if (shardIndex !== -1 && !shards.has(shardIndex)) {
+            shards.set(shardIndex, loadShard(manifest.entries[shardIndex].shard));
+          }
+        });
+        const shardIndexes = Array.from(shards.keys());
+        return Promise.all(shardIndexes.map((shardIndex) => shards.get(shardIndex)))
+          .then((shardMaps) => {
+            const byIndex = new Map(shardIndexes.map((shardIndex, i) => [shardIndex, shardMaps[i]]));
+            const matches = [];
+            spans.forEach((span) => {
+              const shardMap = byIndex.get(findShardIndex(manifest.entries, span.word));
+              const entry = shardMap && shardMap.get(span.word);
+              if (!entry) {
+                return;
+              }
+              const end = span.end < chars.length ? chars[span.end].offset : String(text).length;
+              matches.push({
+                start: chars[span.start].offset,
+                end,
+                word: span.word,
+                text: String(text).slice(chars[span.start].offset, end),
+                entry,
+              });
+            });
+            matches.sort(compareMatches);
+            return { matches, documents: manifest.documents, source: manifest.source };
+          });
+      });
+    }
+
+    return { lookupAt };
+  }
+
+  const api = {
+    findShardIndex,
+    splitCharacters,
+    getCandidateSpans,
+    createDictionary,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanDictionary = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
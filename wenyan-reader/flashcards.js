@@ -0,0 +1,317 @@
+// Spaced-repetition flashcards for the wenyan-reader study page, built from the terms
+// glossed in the reasoning notes (".reasoning-term-item" entries) and scheduled with
+// SM-2. Cards live in their own IndexedDB database so that the study deck can be
+// cleared without touching annotations. One card per term:
+//   { id, term, definition, termKey, docPath, docTitle, marker, anchor, context,
+//     sources: [{ docPath, docTitle, marker, anchor, context }], docPaths,
+//     state: 'new' | 'review', due, interval, ease, repetitions, lapses,
+//     addedAt, introducedAt, reviewedAt }
+// sources lists every deck text the term was added from and docPaths their paths;
+// the top-level docPath, docTitle, marker, anchor and context repeat the first
+// source, which the card links to. A card leaves the deck with its last source.
+// due is a timestamp in milliseconds; new cards use the time they were added, so
+// they come up in the order the texts were added to the deck.
+(function (root) {
+  const { htmlToText } = root.WenyanSearchReasoning || require('./search-reasoning.js');
+  const DATABASE_NAME = 'wenyan-reader-study';
+  const DATABASE_VERSION = 2;
+  const CARD_STORE = 'cards';
+  const NEW_CARDS_PER_DAY = 20;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const INITIAL_EASE = 2.5;
+  const MINIMUM_EASE = 1.3;
+  // Answer buttons and the SM-2 quality (0-5) each one stands for.
+  const GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+  const TERM_ITEM_PATTERN = /<li class="reasoning-term-item"([^>]*)>([\s\S]*?)<\/li>/g;
+  const TERM_TEXT_PATTERN = /<span class="reasoning-term-text">([\s\S]*?)<\/span>/;
+  const TERM_KEY_PATTERN = /data-term-key="([^"]*)"/;
+  const SOURCE_FIELDS = ['docPath', 'docTitle', 'marker', 'anchor', 'context'];
+  let databasePromise = null;
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDatabase() {
+    if (!root.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available.'));
+    }
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = root.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = (event) => {
+          const database = request.result;
+          if (!database.objectStoreNames.contains(CARD_STORE)) {
+            const store = database.createObjectStore(CARD_STORE, { keyPath: 'id' });
+            store.createIndex('queue', ['state', 'due']);
+            store.createIndex('docPaths', 'docPaths', { multiEntry: true });
+            store.createIndex('introducedAt', 'introducedAt');
+          } else if (event.oldVersion < 2) {
+            migrateSources(request.transaction.objectStore(CARD_STORE));
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  }
+
+  // Version 1 cards kept a single docPath; give them a one-entry source list.
+  function migrateSources(store) {
+    store.deleteIndex('docPath');
+    store.createIndex('docPaths', 'docPaths', { multiEntry: true });
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.update(setSources(cursor.value, [getSource(cursor.value)]));
+        cursor.continue();
+      }
+    };
+  }
+
+  function runTransaction(mode, callback) {
+    return openDatabase().then((database) => {
+      const transaction = database.transaction(CARD_STORE, mode);
+      const result = callback(transaction.objectStore(CARD_STORE));
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    });
+  }
+
+  // Returns [{ termKey, term, definition }] in note order from one marker's reasoning HTML.
+  function extractTermItems(html) {
+    const items = [];
+    TERM_ITEM_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TERM_ITEM_PATTERN.exec(String(html || ''))) !== null) {
+      const termMatch = TERM_TEXT_PATTERN.exec(match[2]);
+      if (!termMatch) {
+        continue;
+      }
+      const keyMatch = TERM_KEY_PATTERN.exec(match[1]);
+      const term = htmlToText(termMatch[1]);
+      const definition = htmlToText(match[2].slice(termMatch.index + termMatch[0].length))
+        .replace(/^[-–—:：]\s*/, '');
+      if (term && definition) {
+        items.push({ termKey: keyMatch ? keyMatch[1] : '', term, definition });
+      }
+    }
+    return items;
+  }
+
+  function getCardId(term) {
+    return 'term:' + term;
+  }
+
+  function getSource(card) {
+    const source = {};
+    SOURCE_FIELDS.forEach((field) => {
+      source[field] = card[field] || '';
+    });
+    return source;
+  }
+
+  // Copy of the card with the given sources, showing the first one.
+  function setSources(card, sources) {
+    return Object.assign({}, card, sources[0], {
+      sources,
+      docPaths: sources.map((source) => source.docPath),
+    });
+  }
+
+  function createCard(source, now) {
+    const addedAt = typeof now === 'number' ? now : Date.now();
+    return setSources({
+      id: getCardId(source.term),
+      term: source.term,
+      definition: source.definition || '',
+      termKey: source.termKey || '',
+      state: 'new',
+      due: addedAt,
+      interval: 0,
+      ease: INITIAL_EASE,
+      repetitions: 0,
+      lapses: 0,
+      addedAt,
+      introducedAt: null,
+      reviewedAt: null,
+    }, [getSource(source)]);
+  }
+
+  // SM-2: answers below 3 restart the card at a one-day interval; otherwise the
+  // interval grows 1, 6, then by the ease factor, which each answer nudges.
+  function scheduleReview(card, quality, now) {
+    const reviewedAt = typeof now === 'number' ? now : Date.now();
+    const grade = Math.max(0, Math.min(5, Math.round(quality)));
+    const next = Object.assign({}, card, {
+      state: 'review',
+      reviewedAt,
+      introducedAt: card.introducedAt || reviewedAt,
+    });
+    if (grade < 3) {
+      next.repetitions = 0;
+      next.interval = 1;
+      next.lapses = (card.lapses || 0) + (card.state === 'review' ? 1 : 0);
+    } else {
+      next.repetitions = (card.repetitions || 0) + 1;
+      if (next.repetitions === 1) {
+        next.interval = 1;
+      } else if (next.repetitions === 2) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round((card.interval || 1) * (card.ease || INITIAL_EASE));
+      }
+    }
+    next.ease = Math.max(
+      MINIMUM_EASE,
+      (card.ease || INITIAL_EASE) + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)
+    );
+    next.due = reviewedAt + next.interval * DAY_MS;
+    return next;
+  }
+
+  function getStartOfDay(now) {
+    const date = new Date(typeof now === 'number' ? now : Date.now());
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  // Adds the cards whose terms are not in the deck yet; existing cards keep their
+  // schedule and gain the new card's text as another source.
+  function addCards(cards) {
+    return runTransaction('readwrite', (store) => {
+      const report = { added: 0, existing: 0 };
+      cards.forEach((card) => {
+        const request = store.get(card.id);
+        request.onsuccess = () => {
+          const existing = request.result;
+          if (!existing) {
+            store.add(card);
+            report.added += 1;
+            return;
+          }
+          report.existing += 1;
+          if (!existing.docPaths.includes(card.docPath)) {
+            store.put(setSources(existing, existing.sources.concat([getSource(card)])));
+          }
+        };
+      });
+      return report;
+    });
+  }
+
+  // { reviews, newCards, total } where newCards is capped by today's allowance.
+  function countDue(now) {
+    const time = typeof now === 'number' ? now : Date.now();
+    return runTransaction('readonly', (store) => {
+      const queue = store.index('queue');
+      return Promise.all([
+        requestToPromise(queue.count(root.IDBKeyRange.bound(['review', -Infinity], ['review', time]))),
+        requestToPromise(queue.count(root.IDBKeyRange.bound(['new', -Infinity], ['new', Infinity]))),
+        requestToPromise(store.index('introducedAt').count(root.IDBKeyRange.lowerBound(getStartOfDay(time)))),
+        requestToPromise(store.count()),
+      ]);
+    }).then(([reviews, available, introducedToday, total]) => ({
+      reviews,
+      newCards: Math.min(available, Math.max(0, NEW_CARDS_PER_DAY - introducedToday)),
+      total,
+    }));
+  }
+
+  // Due reviews, most overdue first, followed by today's new cards.
+  function loadDueCards(now) {
+    const time = typeof now === 'number' ? now : Date.now();
+    return countDue(time).then((counts) => runTransaction('readonly', (store) => {
+      const queue = store.index('queue');
+      return Promise.all([
+        requestToPromise(queue.getAll(root.IDBKeyRange.bound(['review', -Infinity], ['review', time]))),
+        counts.newCards
+          ? requestToPromise(queue.getAll(root.IDBKeyRange.bound(['new', -Infinity], ['new', Infinity]), counts.newCards))
+          : Promise.resolve([]),
+      ]);
+    })).then(([reviews, newCards]) => reviews.concat(newCards));
+  }
+
+  function saveReview(card, quality, now) {
+    const next = scheduleReview(card, quality, now);
+    return runTransaction('readwrite', (store) => {
+      store.put(next);
+      return next;
+    });
+  }
+
+  // { docPath: card count } for every text with cards in the deck; a card shared
+  // by several texts counts for each of them.
+  function countDocumentCards() {
+    return runTransaction('readonly', (store) => {
+      const counts = {};
+      const request = store.index('docPaths').openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+          cursor.continue();
+        }
+      };
+      return counts;
+    });
+  }
+
+  // Drops the text from its cards' sources and deletes the cards it was the last
+  // source of. Resolves to { removed, kept }.
+  function removeDocumentCards(docPath) {
+    return runTransaction('readwrite', (store) => {
+      const report = { removed: 0, kept: 0 };
+      const request = store.index('docPaths').openCursor(root.IDBKeyRange.only(docPath));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          return;
+        }
+        const sources = cursor.value.sources.filter((source) => source.docPath !== docPath);
+        if (sources.length) {
+          cursor.update(setSources(cursor.value, sources));
+          report.kept += 1;
+        } else {
+          cursor.delete();
+          report.removed += 1;
+        }
+        cursor.continue();
+      };
+      return report;
+    });
+  }
+
+  const api = {
+    GRADES,
+    NEW_CARDS_PER_DAY,
+    DAY_MS,
+    extractTermItems,
+    getCardId,
+    createCard,
+    scheduleReview,
+    addCards,
+    countDue,
+    loadDueCards,
+    saveReview,
+    countDocumentCards,
+    removeDocumentCards,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanFlashcards = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
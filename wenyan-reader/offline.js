@@ -0,0 +1,316 @@
+// Offline reading for the wenyan-reader: registers reader-service-worker.js and fills
+// every <details data-offline-control> element with a download control that saves a
+// dynasty (or every text) into the service worker's content cache.
+(function () {
+  const script = document.currentScript;
+  if (!script || !('serviceWorker' in navigator) || !('caches' in window)) {
+    return;
+  }
+  const baseUrl = new URL('.', script.src);
+  // Must match CONTENT_CACHE in reader-service-worker.js.
+  const CONTENT_CACHE = 'wenyan-reader-content';
+  // Tells the service worker not to cache a response that the page stores itself.
+  const DOWNLOAD_HEADER = 'X-Wenyan-Offline-Download';
+  const DOWNLOAD_CONCURRENCY = 4;
+  const INDEX_DIRECTORIES = ['search-index/terms/', 'search-index/reasoning-terms/'];
+
+  function fetchJson(path) {
+    return fetch(new URL(path, baseUrl))
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error('Unable to load ' + path + '.');
+        }
+        return response.json();
+      });
+  }
+
+  function getDynastyFolder(docPath) {
+    const slashIndex = String(docPath || '').indexOf('/');
+    return slashIndex === -1 ? '' : docPath.slice(0, slashIndex);
+  }
+
+  // The dynasty folder of the reader page this script runs on, or '' on the index.
+  function getCurrentDynasty() {
+    const pagePath = decodeURIComponent(window.location.pathname);
+    const basePath = decodeURIComponent(baseUrl.pathname);
+    return pagePath.startsWith(basePath) ? getDynastyFolder(pagePath.slice(basePath.length)) : '';
+  }
+
+  function loadDocuments() {
+    return fetchJson('search-index/manifest.json')
+      .then((manifest) => (manifest && Array.isArray(manifest.documents) ? manifest.documents : [])
+        .filter((doc) => doc && doc.docPath));
+  }
+
+  function collectReasoningPaths(docPath) {
+    const directory = 'reasoning-index/' + docPath.replace(/\.html$/, '') + '/';
+    return fetchJson(directory + 'manifest.json')
+      .then((manifest) => {
+        const shards = new Set((manifest && Array.isArray(manifest.entries) ? manifest.entries : [])
+          .map((entry) => entry && entry.shard)
+          .filter(Boolean));
+        return [directory + 'manifest.json'].concat(Array.from(shards, (shard) => directory + shard));
+      })
+      .catch(() => []);
+  }
+
+  function collectIndexPaths() {
+    const termIndexes = INDEX_DIRECTORIES.map((directory) => fetchJson(directory + 'manifest.json')
+      .then((manifest) => [directory + 'manifest.json']
+        .concat(manifest.vocabulary ? [directory + manifest.vocabulary] : [])
+        .concat((manifest.shards || []).map((shard) => directory + shard + '.json')))
+      .catch(() => []));
+    const lexicon = fetchJson('search-index/lexicon/manifest.json')
+      .then((manifest) => {
+        const directory = 'search-index/lexicon/';
+        const termShardCount = Math.ceil((manifest.termCount || 0) / (manifest.termShardSize || 1024));
+        const names = Array.from({ length: termShardCount }, (value, index) => 'terms-' + index)
+          .concat((manifest.glossShards || []).map((name) => 'gloss-' + name))
+          .concat((manifest.pinyinShards || []).map((name) => 'pinyin-' + name));
+        return [directory + 'manifest.json'].concat(names.map((name) => directory + name + '.json'));
+      })
+      .catch(() => []);
+    const dictionary = fetchJson('dictionary-index/manifest.json')
+      .then((manifest) => ['dictionary-index/manifest.json']
+        .concat(Array.from(new Set((manifest.entries || []).map((entry) => 'dictionary-index/' + entry.shard)))))
+      .catch(() => []);
+    return Promise.all(termIndexes.concat(lexicon, dictionary)).then((lists) => lists.flat());
+  }
+
+  // Every file a dynasty ('' for all texts) needs offline: the reader pages, their
+  // search JSON and reasoning shards, plus the corpus-wide search indexes and the
+  // dictionary on request.
+  function collectDownloadPaths(documents, dynasty, includeIndexes) {
+    const selected = documents.filter((doc) => !dynasty || getDynastyFolder(doc.docPath) === dynasty);
+    const lists = selected.map((doc) => collectReasoningPaths(doc.docPath)
+      .then((reasoningPaths) => [doc.docPath].concat(doc.searchPath ? [doc.searchPath] : [], reasoningPaths)));
+    if (includeIndexes) {
+      lists.push(collectIndexPaths());
+    }
+    return Promise.all(lists).then((paths) => Array.from(new Set(paths.flat())));
+  }
+
+  // Headers asking the server for url only if it changed since cached was saved, so a
+  // repeated download refreshes stale copies without fetching unchanged files again.
+  function getRevalidationHeaders(cached) {
+    const headers = { [DOWNLOAD_HEADER]: '1' };
+    const etag = cached && cached.headers.get('ETag');
+    const lastModified = cached && cached.headers.get('Last-Modified');
+    if (etag) {
+      headers['If-None-Match'] = etag;
+    } else if (lastModified) {
+      headers['If-Modified-Since'] = lastModified;
+    }
+    return headers;
+  }
+
+  function saveForOffline(paths, options) {
+    const { signal, onProgress } = options;
+    let nextIndex = 0;
+    let completed = 0;
+    let failed = 0;
+    return caches.open(CONTENT_CACHE).then((cache) => {
+      const saveNext = () => {
+        if (signal.aborted || nextIndex >= paths.length) {
+          return Promise.resolve();
+        }
+        const url = new URL(paths[nextIndex], baseUrl).href;
+        nextIndex += 1;
+        return cache.match(url)
+          .then((cached) => fetch(url, { signal, cache: 'no-store', headers: getRevalidationHeaders(cached) })
+            .then((response) => {
+              if (cached && response.status === 304) {
+                return null;
+              }
+              if (!response.ok) {
+                throw new Error('Unable to download ' + url + '.');
+              }
+              return cache.put(url, response);
+            }))
+          .catch(() => {
+            if (!signal.aborted) {
+              failed += 1;
+            }
+          })
+          .then(() => {
+            completed += 1;
+            onProgress(completed, failed);
+            return saveNext();
+          });
+      };
+      const workers = Array.from({ length: DOWNLOAD_CONCURRENCY }, saveNext);
+      return Promise.all(workers).then(() => ({ completed, failed, cancelled: signal.aborted }));
+    });
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+      return (bytes / (1024 * 1024 * 1024)).toFixed(1) + ' GB';
+    }
+    if (bytes >= 1024 * 1024) {
+      return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+    return Math.round(bytes / 1024) + ' KB';
+  }
+
+  function describeStorage() {
+    const savedTexts = caches.open(CONTENT_CACHE)
+      .then((cache) => cache.keys())
+      .then((requests) => requests.filter((request) => new URL(request.url).pathname.endsWith('.html')).length);
+    const estimate = navigator.storage && navigator.storage.estimate
+      ? navigator.storage.estimate().catch(() => null)
+      : Promise.resolve(null);
+    return Promise.all([savedTexts, estimate]).then(([textCount, usage]) => {
+      let message = (textCount === 1 ? '1 text' : textCount + ' texts') + ' saved for offline reading.';
+      if (usage && usage.quota) {
+        message += ' Using ' + formatBytes(usage.usage || 0) + ' of ' + formatBytes(usage.quota) + ' available storage.';
+      }
+      return message;
+    });
+  }
+
+  function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) {
+      element.className = className;
+    }
+    if (text) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  function mountOfflineControl(control, documents) {
+    const currentDynasty = getCurrentDynasty();
+    const body = createElement('div', 'offline-control-body');
+    const note = createElement(
+      'p',
+      'offline-note',
+      'Texts you open are kept for offline reading. Download a whole dynasty, or every text, to read, search and open reasoning notes without a connection.'
+    );
+    const scopeLabel = createElement('label', 'offline-field', 'Texts ');
+    const scopeSelect = createElement('select', 'offline-scope');
+    scopeSelect.appendChild(new Option('All texts', ''));
+    Array.from(new Set(documents.map((doc) => getDynastyFolder(doc.docPath)).filter(Boolean)))
+      .sort()
+      .forEach((dynasty) => {
+        const count = documents.filter((doc) => getDynastyFolder(doc.docPath) === dynasty).length;
+        scopeSelect.appendChild(new Option(dynasty + ' (' + count + ')', dynasty, false, dynasty === currentDynasty));
+      });
+    scopeLabel.appendChild(scopeSelect);
+    const indexLabel = createElement('label', 'offline-field');
+    const indexCheckbox = document.createElement('input');
+    indexCheckbox.type = 'checkbox';
+    indexLabel.appendChild(indexCheckbox);
+    indexLabel.appendChild(document.createTextNode(
+      ' Also save the search indexes and the dictionary (large, shared by all texts) so reasoning-note, pinyin and gloss searches and word lookups work offline'
+    ));
+    const actions = createElement('div', 'offline-actions');
+    const downloadButton = createElement('button', 'offline-button', 'Download for offline');
+    downloadButton.type = 'button';
+    const removeButton = createElement('button', 'offline-button', 'Remove offline copies');
+    removeButton.type = 'button';
+    actions.appendChild(downloadButton);
+    actions.appendChild(removeButton);
+    const progress = createElement('progress', 'offline-progress');
+    progress.hidden = true;
+    const status = createElement('p', 'offline-status');
+    status.setAttribute('aria-live', 'polite');
+    const storage = createElement('p', 'offline-storage');
+    [note, scopeLabel, indexLabel, actions, progress, status, storage].forEach((element) => body.appendChild(element));
+    control.appendChild(body);
+
+    let activeDownload = null;
+
+    function refreshStorage() {
+      describeStorage()
+        .then((message) => {
+          storage.textContent = message;
+        })
+        .catch(() => {
+          storage.textContent = '';
+        });
+    }
+
+    function finishDownload(message) {
+      activeDownload = null;
+      downloadButton.textContent = 'Download for offline';
+      removeButton.disabled = false;
+      progress.hidden = true;
+      status.textContent = message;
+      refreshStorage();
+    }
+
+    downloadButton.addEventListener('click', () => {
+      if (activeDownload) {
+        activeDownload.abort();
+        return;
+      }
+      const download = new AbortController();
+      activeDownload = download;
+      downloadButton.textContent = 'Cancel download';
+      removeButton.disabled = true;
+      status.textContent = 'Preparing the list of files...';
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+      collectDownloadPaths(documents, scopeSelect.value, indexCheckbox.checked)
+        .then((paths) => {
+          if (download.signal.aborted) {
+            return { completed: 0, failed: 0, cancelled: true };
+          }
+          progress.max = paths.length || 1;
+          progress.value = 0;
+          progress.hidden = false;
+          return saveForOffline(paths, {
+            signal: download.signal,
+            onProgress: (completed, failed) => {
+              progress.value = completed;
+              status.textContent = 'Saved ' + completed + ' of ' + paths.length + ' files'
+                + (failed ? ' (' + failed + ' failed)' : '') + '...';
+            },
+          });
+        })
+        .then((result) => {
+          if (result.cancelled) {
+            finishDownload('Download cancelled after ' + result.completed + ' files; start it again to resume.');
+            return;
+          }
+          finishDownload(result.failed
+            ? result.failed + ' files could not be downloaded. Try again to fetch the missing files.'
+            : 'Download complete: these texts are available offline.');
+        })
+        .catch(() => {
+          finishDownload('The download could not be started. Check your connection and try again.');
+        });
+    });
+
+    removeButton.addEventListener('click', () => {
+      caches.delete(CONTENT_CACHE)
+        .then(() => {
+          status.textContent = 'Offline copies removed.';
+          refreshStorage();
+        })
+        .catch(() => {
+          status.textContent = 'Offline copies could not be removed.';
+        });
+    });
+
+    control.addEventListener('toggle', () => {
+      if (control.open) {
+        refreshStorage();
+      }
+    });
+    control.hidden = false;
+    refreshStorage();
+  }
+
+  navigator.serviceWorker.register(new URL('reader-service-worker.js', baseUrl).href).catch(() => {});
+
+  const controls = document.querySelectorAll('[data-offline-control]');
+  if (controls.length) {
+    loadDocuments()
+      .then((documents) => controls.forEach((control) => mountOfflineControl(control, documents)))
+      .catch(() => {});
+  }
+})();
@@ -0,0 +1,90 @@
+// Helpers for reading passages aloud with the browser's speechSynthesis: sentence
+// spans to speak and highlight one at a time, and the choice of a Mandarin voice for
+// the original text and an English voice for translations. Voices are plain
+// { name, lang, voiceURI, default, localService } objects as getVoices() returns them.
+(function (root) {
+  const SPEECH_LANGUAGES = {
+    zh: { lang: 'zh-CN', label: 'Mandarin' },
+    en: { lang: 'en-US', label: 'English' },
+  };
+  // Cantonese voices share the zh prefix but would misread the text as Mandarin.
+  const CANTONESE_PATTERN = /^(yue|zh-hk|zh-mo)\b/;
+  const SPOKEN_PATTERN = /[\p{L}\p{N}]/u;
+
+  function normalizeLang(lang) {
+    return String(lang || '').replace(/_/g, '-').toLowerCase();
+  }
+
+  // Lower is better; -1 when the voice does not speak the language.
+  function rankVoice(voice, language) {
+    const lang = normalizeLang(voice.lang);
+    if (language === 'zh') {
+      if (CANTONESE_PATTERN.test(lang) || !/^(zh|cmn)\b/.test(lang)) {
+        return -1;
+      }
+      return /^(zh-cn|cmn|zh-hans)/.test(lang) ? 0 : lang === 'zh' ? 1 : 2;
+    }
+    if (language === 'en') {
+      if (!/^en\b/.test(lang)) {
+        return -1;
+      }
+      return lang === 'en-us' ? 0 : lang === 'en-gb' ? 1 : 2;
+    }
+    return -1;
+  }
+
+  // The voices for 'zh' or 'en', best suited first: the main regional variant, then
+  // the browser's default and voices that work offline.
+  function getLanguageVoices(voices, language) {
+    return (Array.isArray(voices) ? voices : [])
+      .map((voice) => ({ voice, rank: rankVoice(voice, language) }))
+      .filter((candidate) => candidate.rank !== -1)
+      .sort((a, b) => a.rank - b.rank
+        || Number(!!b.voice.default) - Number(!!a.voice.default)
+        || Number(!!b.voice.localService) - Number(!!a.voice.localService))
+      .map((candidate) => candidate.voice);
+  }
+
+  // The stored voice when it is still offered, otherwise the best one, or null.
+  function pickVoice(voices, language, preferredUri) {
+    const candidates = getLanguageVoices(voices, language);
+    return candidates.find((voice) => preferredUri && voice.voiceURI === preferredUri)
+      || candidates[0]
+      || null;
+  }
+
+  // [{ start, end }] of the sentences pattern finds in text, with surrounding space
+  // left out and sentences of punctuation only skipped.
+  function findSentenceSpans(text, pattern) {
+    const source = String(text || '');
+    const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    const spans = [];
+    let match;
+    while ((match = regex.exec(source)) !== null) {
+      if (!match[0].length) {
+        regex.lastIndex += 1;
+        continue;
+      }
+      const leading = match[0].length - match[0].trimStart().length;
+      const start = match.index + leading;
+      const end = match.index + match[0].trimEnd().length;
+      if (end > start && SPOKEN_PATTERN.test(source.slice(start, end))) {
+        spans.push({ start, end });
+      }
+    }
+    return spans;
+  }
+
+  const api = {
+    SPEECH_LANGUAGES,
+    getLanguageVoices,
+    pickVoice,
+    findSentenceSpans,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanReadAloud = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
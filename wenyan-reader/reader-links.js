@@ -0,0 +1,75 @@
+// Shareable links to reader pages. The hash names the passage and the query string
+// carries the reading state around it:
+//   02_Tang/冥报记.html?q=鬼&range=12-18&layout=interlinear&reasoning=5&term=t3#inter-orig-5
+// q is the search to highlight (regex=1 when it is a pattern), range the characters
+// start-end of the passage's text column (counted as annotation highlights are),
+// layout the layout mode, reasoning the marker whose explanation is open and term
+// the term key active in that passage or explanation.
+(function (root) {
+  const RANGE_PATTERN = /^(\d+)-(\d+)$/;
+
+  function parseLinkState(search, hash) {
+    let params;
+    try {
+      params = new URLSearchParams(search || '');
+    } catch (error) {
+      params = new URLSearchParams();
+    }
+    let anchor = String(hash || '').replace(/^#/, '');
+    try {
+      anchor = decodeURIComponent(anchor);
+    } catch (error) {
+      // A malformed escape is kept as written.
+    }
+    const rangeMatch = RANGE_PATTERN.exec(params.get('range') || '');
+    const start = rangeMatch ? Number(rangeMatch[1]) : 0;
+    const end = rangeMatch ? Number(rangeMatch[2]) : 0;
+    return {
+      query: params.get('q') || '',
+      regex: params.get('regex') === '1',
+      anchor,
+      range: end > start ? { start, end } : null,
+      layout: params.get('layout') || '',
+      reasoning: params.get('reasoning') || '',
+      term: params.get('term') || '',
+    };
+  }
+
+  // A link to path (which may end in its own #anchor) with the given state; empty
+  // fields are left out.
+  function buildLinkHref(path, state) {
+    const hashIndex = path.indexOf('#');
+    const basePath = hashIndex === -1 ? path : path.slice(0, hashIndex);
+    const anchor = state.anchor !== undefined
+      ? state.anchor
+      : hashIndex === -1 ? '' : path.slice(hashIndex + 1);
+    const params = [];
+    const add = (name, value) => {
+      if (value) {
+        params.push(name + '=' + encodeURIComponent(value));
+      }
+    };
+    add('q', state.query);
+    if (state.query && state.regex) {
+      params.push('regex=1');
+    }
+    if (state.range && state.range.end > state.range.start) {
+      params.push('range=' + state.range.start + '-' + state.range.end);
+    }
+    add('layout', state.layout);
+    add('reasoning', state.reasoning);
+    add('term', state.term);
+    return basePath + (params.length ? '?' + params.join('&') : '') + (anchor ? '#' + anchor : '');
+  }
+
+  const api = {
+    parseLinkState,
+    buildLinkHref,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanReaderLinks = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,131 @@
+// Offline support for the wenyan-reader. The shell is cached on install; every other
+// file under the reader is fetched network-first. Of those, only the reader pages the
+// reader opens and their search JSON are kept in the content cache, which is also where
+// offline.js stores bulk downloads; index, reasoning and dictionary shards are kept only
+// when offline.js downloads them. Bump SHELL_VERSION when the shell files change.
+const SHELL_VERSION = 17;
+const SHELL_CACHE = 'wenyan-reader-shell-v' + SHELL_VERSION;
+// Must match CONTENT_CACHE and DOWNLOAD_HEADER in offline.js.
+const CONTENT_CACHE = 'wenyan-reader-content';
+const DOWNLOAD_HEADER = 'X-Wenyan-Offline-Download';
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'study.html',
+  'stats.html',
+  'offline.js',
+  'annotations.js',
+  'reading-history.js',
+  'reader-links.js',
+  'citations.js',
+  'read-aloud.js',
+  'dictionary.js',
+  'flashcards.js',
+  'corpus-stats.js',
+  'site-search-worker.js',
+  'search-variants.js',
+  'search-terms.js',
+  'search-pinyin.js',
+  'search-reasoning.js',
+  'search-query.js',
+  'search-fuzzy.js',
+  'search-regex.js',
+  'search-regex-worker.js',
+  'search-index/manifest.json',
+  'search-index/terms/manifest.json',
+  'search-index/reasoning-terms/manifest.json',
+  'search-index/lexicon/manifest.json',
+  'dictionary-index/manifest.json',
+];
+const shellUrls = new Set(SHELL_FILES.map((file) => new URL(file, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => name.startsWith('wenyan-reader-shell-') && name !== SHELL_CACHE)
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Reader pages are opened with ?q= search parameters; they are cached without them.
+function getCacheKey(request) {
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    url.search = '';
+  }
+  url.hash = '';
+  return url.href;
+}
+
+function offlineResponse(request) {
+  const message = request.mode === 'navigate'
+    ? 'This text has not been saved for offline reading yet.'
+    : 'Not available offline.';
+  return new Response(message, {
+    status: 503,
+    statusText: 'Offline',
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  });
+}
+
+// Reader pages sit in dynasty folders such as 02_Tang/, their search JSON in the same
+// folders under search-index/.
+const DOCUMENT_PATTERN = /^\d+_[^/]+\/[^/]+\.html$/;
+const DOCUMENT_SEARCH_PATTERN = /^search-index\/(\d+_[^/]+\/[^/]+)\.json$/;
+
+// The cache a response is kept in, or null for files kept only by explicit downloads.
+// A document's search JSON is kept once the document itself has been opened.
+function getCacheName(cacheKey) {
+  if (shellUrls.has(cacheKey)) {
+    return Promise.resolve(SHELL_CACHE);
+  }
+  const path = decodeURIComponent(cacheKey.slice(self.registration.scope.length));
+  if (DOCUMENT_PATTERN.test(path)) {
+    return Promise.resolve(CONTENT_CACHE);
+  }
+  const searchMatch = path.match(DOCUMENT_SEARCH_PATTERN);
+  if (!searchMatch) {
+    return Promise.resolve(null);
+  }
+  const documentUrl = new URL(searchMatch[1] + '.html', self.registration.scope).href;
+  return caches.open(CONTENT_CACHE)
+    .then((cache) => cache.match(documentUrl))
+    .then((cached) => (cached ? CONTENT_CACHE : null));
+}
+
+function fetchAndCache(request) {
+  const cacheKey = getCacheKey(request);
+  return fetch(request)
+    .then((response) => {
+      if (response.ok && response.type === 'basic') {
+        const copy = response.clone();
+        getCacheName(cacheKey)
+          .then((cacheName) => cacheName && caches.open(cacheName).then((cache) => cache.put(cacheKey, copy)))
+          .catch(() => {});
+      }
+      return response;
+    })
+    .catch(() => caches.match(cacheKey).then((cached) => cached || offlineResponse(request)));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) {
+    return;
+  }
+  // Bulk downloads are stored by offline.js itself.
+  if (request.headers.has(DOWNLOAD_HEADER)) {
+    return;
+  }
+  event.respondWith(fetchAndCache(request));
+});
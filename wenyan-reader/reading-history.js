@@ -0,0 +1,90 @@
+// Reading positions for the wenyan-reader, kept in localStorage and shared by the reader
+// pages (which record them) and index.html (which shows the "Continue reading" shelf).
+// Each document keeps one entry:
+//   { docPath, docTitle, anchor, marker, entryIndex, visitedAt }
+// entryIndex counts the passage blocks (original and translation) before the position,
+// the same units as entryCount in search-index/manifest.json.
+(function (root) {
+  const STORAGE_KEY = 'wenyan-reader-reading-history';
+
+  function getStorage() {
+    try {
+      return root.localStorage || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function loadHistory() {
+    const storage = getStorage();
+    if (!storage) {
+      return [];
+    }
+    try {
+      const stored = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+      return Object.values(stored && typeof stored === 'object' ? stored : {})
+        .filter((entry) => entry && entry.docPath && entry.anchor)
+        .sort((a, b) => String(b.visitedAt).localeCompare(String(a.visitedAt)));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveHistory(entries) {
+    const storage = getStorage();
+    if (!storage) {
+      return false;
+    }
+    const stored = {};
+    entries.forEach((entry) => {
+      stored[entry.docPath] = entry;
+    });
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(stored));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function recordPosition(position) {
+    if (!position || !position.docPath || !position.anchor) {
+      return false;
+    }
+    const entry = {
+      docPath: position.docPath,
+      docTitle: position.docTitle || '',
+      anchor: position.anchor,
+      marker: position.marker || '',
+      entryIndex: Number(position.entryIndex) || 0,
+      visitedAt: new Date().toISOString(),
+    };
+    return saveHistory(loadHistory().filter((item) => item.docPath !== entry.docPath).concat(entry));
+  }
+
+  function forgetDocument(docPath) {
+    return saveHistory(loadHistory().filter((item) => item.docPath !== docPath));
+  }
+
+  // Percentage of the document read up to and including the recorded passage block.
+  function getProgress(entry, entryCount) {
+    if (!entry || !(entryCount > 0)) {
+      return null;
+    }
+    return Math.max(0, Math.min(100, Math.round(((entry.entryIndex + 1) / entryCount) * 100)));
+  }
+
+  const api = {
+    STORAGE_KEY,
+    loadHistory,
+    recordPosition,
+    forgetDocument,
+    getProgress,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanReadingHistory = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,228 @@
+// Typo-tolerant matching for English words in the site search. A query word is
+// compared with the corpus vocabulary (the word keys of the passage term index,
+// see search-terms.js) by Porter stem and by edit distance, so "reincarnate" finds
+// "reincarnation" and "buddist" finds "buddhist".
+(function (root) {
+  const MIN_FUZZY_LENGTH = 4;
+  const MAX_SIMILAR_WORDS = 8;
+  const FUZZY_WORD_PATTERN = /^[a-z]+$/;
+
+  function isConsonant(word, index) {
+    const char = word[index];
+    if ('aeiou'.includes(char)) {
+      return false;
+    }
+    return char !== 'y' || index === 0 || !isConsonant(word, index - 1);
+  }
+
+  // Porter's m: the number of vowel-consonant sequences in the stem.
+  function measure(stem) {
+    let count = 0;
+    let index = 0;
+    while (index < stem.length && isConsonant(stem, index)) {
+      index += 1;
+    }
+    while (index < stem.length) {
+      while (index < stem.length && !isConsonant(stem, index)) {
+        index += 1;
+      }
+      if (index >= stem.length) {
+        break;
+      }
+      count += 1;
+      while (index < stem.length && isConsonant(stem, index)) {
+        index += 1;
+      }
+    }
+    return count;
+  }
+
+  function hasVowel(stem) {
+    for (let i = 0; i < stem.length; i += 1) {
+      if (!isConsonant(stem, i)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function endsWithDoubleConsonant(stem) {
+    const last = stem.length - 1;
+    return last > 0 && stem[last] === stem[last - 1] && isConsonant(stem, last);
+  }
+
+  // Consonant-vowel-consonant ending, the last not w, x or y ("hop", not "snow").
+  function endsWithCvc(stem) {
+    const last = stem.length - 1;
+    return last >= 2
+      && isConsonant(stem, last) && !isConsonant(stem, last - 1) && isConsonant(stem, last - 2)
+      && !'wxy'.includes(stem[last]);
+  }
+
+  // Replaces the longest listed suffix when its stem passes the condition; a longer
+  // suffix that fails the condition still blocks the shorter ones.
+  function replaceSuffix(word, rules, condition) {
+    for (const [suffix, replacement] of rules) {
+      if (word.endsWith(suffix)) {
+        const stem = word.slice(0, word.length - suffix.length);
+        return condition(stem, suffix) ? stem + replacement : word;
+      }
+    }
+    return word;
+  }
+
+  const STEP2_RULES = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+    ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+    ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+    ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+    ['logi', 'log'],
+  ].sort((a, b) => b[0].length - a[0].length);
+  const STEP3_RULES = [
+    ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', ''],
+  ].sort((a, b) => b[0].length - a[0].length);
+  const STEP4_RULES = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+    'ism', 'ate', 'iti', 'ous', 'ive', 'ize',
+  ].map((suffix) => [suffix, '']).sort((a, b) => b[0].length - a[0].length);
+
+  function stemWord(word) {
+    let stem = String(word || '');
+    if (stem.length <= 2 || !FUZZY_WORD_PATTERN.test(stem)) {
+      return stem;
+    }
+    // Step 1a: plurals.
+    if (stem.endsWith('sses') || stem.endsWith('ies')) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+      stem = stem.slice(0, -1);
+    }
+    // Step 1b: -eed, -ed and -ing.
+    if (stem.endsWith('eed')) {
+      if (measure(stem.slice(0, -3)) > 0) {
+        stem = stem.slice(0, -1);
+      }
+    } else {
+      const suffix = ['ed', 'ing'].find((ending) => stem.endsWith(ending) && hasVowel(stem.slice(0, -ending.length)));
+      if (suffix) {
+        stem = stem.slice(0, -suffix.length);
+        if (stem.endsWith('at') || stem.endsWith('bl') || stem.endsWith('iz')) {
+          stem += 'e';
+        } else if (endsWithDoubleConsonant(stem) && !'lsz'.includes(stem[stem.length - 1])) {
+          stem = stem.slice(0, -1);
+        } else if (measure(stem) === 1 && endsWithCvc(stem)) {
+          stem += 'e';
+        }
+      }
+    }
+    // Step 1c: -y after a vowel.
+    if (stem.endsWith('y') && hasVowel(stem.slice(0, -1))) {
+      stem = stem.slice(0, -1) + 'i';
+    }
+    stem = replaceSuffix(stem, STEP2_RULES, (base) => measure(base) > 0);
+    stem = replaceSuffix(stem, STEP3_RULES, (base) => measure(base) > 0);
+    stem = replaceSuffix(stem, STEP4_RULES, (base, suffix) => measure(base) > 1
+      && (suffix !== 'ion' || base.endsWith('s') || base.endsWith('t')));
+    // Step 5: final -e and -ll.
+    if (stem.endsWith('e')) {
+      const base = stem.slice(0, -1);
+      const baseMeasure = measure(base);
+      if (baseMeasure > 1 || (baseMeasure === 1 && !endsWithCvc(base))) {
+        stem = base;
+      }
+    }
+    if (stem.endsWith('ll') && measure(stem) > 1) {
+      stem = stem.slice(0, -1);
+    }
+    return stem;
+  }
+
+  // Edits allowed for a word of this length: none for short words, where a single
+  // edit usually makes another real word.
+  function getMaxDistance(word) {
+    if (word.length < MIN_FUZZY_LENGTH + 1) {
+      return 0;
+    }
+    return word.length < 8 ? 1 : 2;
+  }
+
+  // Optimal string alignment distance (insertions, deletions, substitutions and
+  // adjacent transpositions), or maxDistance + 1 as soon as it must exceed it.
+  function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+      const nextRow = [i];
+      let rowMinimum = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        nextRow.push(value);
+        rowMinimum = Math.min(rowMinimum, value);
+      }
+      if (rowMinimum > maxDistance) {
+        return maxDistance + 1;
+      }
+      previousRow = row;
+      row = nextRow;
+    }
+    return row[b.length];
+  }
+
+  function isFuzzyWord(word) {
+    return FUZZY_WORD_PATTERN.test(word) && word.length >= MIN_FUZZY_LENGTH;
+  }
+
+  // vocabulary: Map(word -> frequency). Returns the words sharing the query word's
+  // stem, most frequent first, leaving out words that already contain it (a plain
+  // search finds those). A word that is not in the vocabulary, even as a prefix, is
+  // taken as misspelled: words within its edit distance are added, and the closest
+  // and most frequent of them becomes the suggestion.
+  function findSimilarWords(word, vocabulary) {
+    if (!isFuzzyWord(word)) {
+      return { words: [], suggestion: '' };
+    }
+    const stem = stemWord(word);
+    const known = Array.from(vocabulary.keys()).some((candidate) => candidate.startsWith(word));
+    const maxDistance = known ? 0 : getMaxDistance(word);
+    const candidates = [];
+    vocabulary.forEach((frequency, candidate) => {
+      if (candidate.includes(word) || !isFuzzyWord(candidate)) {
+        return;
+      }
+      const distance = maxDistance ? editDistance(word, candidate, maxDistance) : maxDistance + 1;
+      const sameStem = stemWord(candidate) === stem;
+      if (sameStem || distance <= maxDistance) {
+        candidates.push({ word: candidate, distance, rank: sameStem ? 0 : distance, frequency });
+      }
+    });
+    candidates.sort((a, b) => a.rank - b.rank || b.frequency - a.frequency || (a.word < b.word ? -1 : 1));
+    const spelling = candidates
+      .filter((candidate) => candidate.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || b.frequency - a.frequency)[0];
+    return {
+      words: candidates.slice(0, MAX_SIMILAR_WORDS).map((candidate) => candidate.word),
+      suggestion: spelling ? spelling.word : '',
+    };
+  }
+
+  const api = {
+    stemWord,
+    editDistance,
+    getMaxDistance,
+    isFuzzyWord,
+    findSimilarWords,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WenyanSearchFuzzy = api;
+  }
+})(typeof self !== 'undefined' ? self : this);